@@ -1,19 +1,52 @@
 #!/usr/bin/env node
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const http = require('http');
-const https = require('https');
+const { httpPost } = require('./lib/http.cjs');
+const { createProvider, isAlreadyKnown, broadcastErrorType } = require('./lib/chain.cjs');
+const {
+  parseJob, checkJobParams, senderAddress, senderPublicKey, decryptWith,
+  buildResPushes, buildChunkPushes, buildRefundPushes,
+} = require('./lib/protocol.cjs');
+const { quote } = require('./lib/pricing.cjs');
+const { loadModels, routeJob, describeModels } = require('./lib/models.cjs');
+const { buildDataTx, FEE_RATE, MIN_FEE, DUST_LIMIT } = require('./lib/tx.cjs');
+const { openJobStore, TERMINAL_STATES } = require('./lib/jobstore.cjs');
+const { createJobQueue } = require('./lib/queue.cjs');
+const { createUtxoManager, RECONCILE_INTERVAL } = require('./lib/utxos.cjs');
+const { createMetrics } = require('./lib/metrics.cjs');
+const { unlockWallet, createWallet } = require('./lib/keystore.cjs');
 
 // --- Config ---
 const WALLET_PATH = path.join(__dirname, 'wallet.json');
-const JOBS_PATH = path.join(__dirname, 'jobs.json');
+const JOBS_PATH = path.join(__dirname, 'jobs.journal');
+const LEGACY_JOBS_PATH = path.join(__dirname, 'jobs.json');
+const UTXOS_PATH = path.join(__dirname, 'utxos.json');
+const METRICS_DIR = path.join(__dirname, 'metrics');
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || '15000'); // ms
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const MODEL = process.env.MODEL || 'qwen3:8b';
-const FEE = 300;
+const MAX_BROADCAST_ATTEMPTS = parseInt(process.env.MAX_BROADCAST_ATTEMPTS || '8');
+const BROADCAST_RETRY_BASE = parseInt(process.env.BROADCAST_RETRY_BASE || '5000'); // ms, doubles per attempt
+const BROADCAST_RETRY_MAX = 10 * 60 * 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const JOB_TIMEOUT = parseInt(process.env.JOB_TIMEOUT || '300000'); // ms, 0 = none
+const MODELS = loadModels();
+
+const chain = createProvider();
+
+// --- Metrics ---
+// Snapshotted to metrics/agent.json; viewer.cjs serves them at /metrics
+const metrics = createMetrics({ source: 'agent', dir: METRICS_DIR });
+const jobsReceived = metrics.counter('bsv_jobs_received', 'Paid jobs taken on');
+const jobsSucceeded = metrics.counter('bsv_jobs_succeeded', 'Jobs answered on-chain');
+const jobsFailed = metrics.counter('bsv_jobs_failed', 'Jobs that ended without an answer, by reason');
+const jobsInProgress = metrics.gauge('bsv_jobs_in_progress', 'Jobs not yet finished');
+const llmSeconds = metrics.histogram('bsv_llm_duration_seconds', 'Time for the LLM to answer, by model');
+const llmErrors = metrics.counter('bsv_llm_errors', 'LLM calls that failed, by model');
+const broadcastFailures = metrics.counter('bsv_broadcast_failures', 'Broadcasts the network refused, by error type');
+const satsReceivedTotal = metrics.counter('bsv_sats_received', 'Sats paid in by jobs');
+const satsKeptTotal = metrics.counter('bsv_sats_kept', 'Sats kept from job payments, after fees and refunds');
+const feesSpent = metrics.counter('bsv_fees_spent_sats', 'Sats spent on miner fees');
 
 // --- Helpers ---
 let bsvLib;
@@ -22,115 +55,46 @@ function bsv() {
   return bsvLib;
 }
 
-function httpGet(url) {
-  const mod = url.startsWith('https') ? https : http;
-  return new Promise((resolve, reject) => {
-    mod.get(url, { headers: { Accept: 'application/json' } }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); }
-        catch { resolve(null); }
-      });
-    }).on('error', reject);
-  });
-}
-
-function httpPost(url, body) {
-  const mod = url.startsWith('https') ? https : http;
-  const parsed = new URL(url);
-  const data = JSON.stringify(body);
-  return new Promise((resolve, reject) => {
-    const req = mod.request({
-      hostname: parsed.hostname,
-      port: parsed.port,
-      path: parsed.pathname,
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(d)); }
-        catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
-      });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
-}
-
-function wocBroadcast(txhex) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({ txhex });
-    const req = https.request({
-      hostname: 'api.whatsonchain.com',
-      path: '/v1/bsv/main/tx/raw',
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode >= 400) return reject(new Error(`Broadcast: ${d}`));
-        resolve(d.replace(/"/g, '').trim());
-      });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
-}
-
 // --- Wallet ---
-function loadOrCreateWallet() {
-  if (fs.existsSync(WALLET_PATH)) {
-    return JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
-  }
-  const key = new (bsv().PrivateKey)();
-  const wallet = {
-    wif: key.toWIF(),
-    address: key.toAddress().toString(),
-    createdAt: new Date().toISOString(),
-  };
-  fs.writeFileSync(WALLET_PATH, JSON.stringify(wallet, null, 2));
-  return wallet;
-}
-
-// --- Jobs log ---
-function loadJobs() {
-  if (!fs.existsSync(JOBS_PATH)) return [];
-  return JSON.parse(fs.readFileSync(JOBS_PATH, 'utf8'));
+// Encrypted wallets ask for their passphrase here (see lib/keystore.cjs)
+async function loadOrCreateWallet() {
+  return (await unlockWallet(WALLET_PATH)) || createWallet(WALLET_PATH);
 }
 
-function saveJob(job) {
-  const jobs = loadJobs();
-  jobs.push(job);
-  fs.writeFileSync(JOBS_PATH, JSON.stringify(jobs, null, 2));
-}
+// --- Parse OP_RETURN for JOB ---
+// → null (not a job), { prompt, params } or { error } for jobs we have to
+// reject. EJOB prompts (and system params) are decrypted with our key; their
+// result gets encrypted to the requester's key, which comes back as encryptTo.
+function parseJobFromTx(tx, privKey) {
+  const job = parseJob(tx);
+  if (!job || job.error) return job;
+  const { encrypted } = job;
+
+  const encryptTo = encrypted ? senderPublicKey(tx) : null;
+  if (encrypted && !encryptTo) return { encrypted, error: 'encrypted job: no sender public key to encrypt the result to' };
+
+  const open = buf => {
+    if (!encrypted) {
+      const text = buf.toString('utf8');
+      return Buffer.from(text, 'utf8').equals(buf) ? text : null;
+    }
+    try { return decryptWith(privKey, buf); } catch { return null; }
+  };
+  const what = encrypted ? 'could not be decrypted' : 'is not valid UTF-8';
 
-function isJobProcessed(txid) {
-  return loadJobs().some(j => j.jobTxid === txid);
-}
+  const prompt = open(job.prompt);
+  if (prompt === null) return { encrypted, error: `malformed job: prompt ${what}` };
+  if (!prompt.trim()) return { encrypted, error: 'empty prompt' };
 
-// --- Parse OP_RETURN for JOB ---
-function parseJobFromTx(tx) {
-  for (const vout of (tx.vout || [])) {
-    if (!vout.scriptPubKey || vout.scriptPubKey.type !== 'nulldata') continue;
-    try {
-      const script = bsv().Script.fromHex(vout.scriptPubKey.hex);
-      const pushes = [];
-      for (const chunk of script.chunks) {
-        if (chunk.buf) pushes.push(chunk.buf);
-      }
-      if (pushes.length >= 2 && pushes[0].toString('utf8') === 'JOB') {
-        return pushes[1].toString('utf8');
-      }
-    } catch {}
+  const raw = { ...job.params };
+  if (raw.system) {
+    raw.system = open(raw.system);
+    if (raw.system === null) return { encrypted, error: `malformed job: system prompt ${what}` };
   }
-  return null;
+  const { params, error } = checkJobParams(raw);
+  if (error) return { encrypted, error: `malformed job: ${error}` };
+
+  return { encrypted, version: job.version, prompt, params, encryptTo };
 }
 
 // --- Find spendable UTXOs from a tx sent to our address ---
@@ -150,176 +114,359 @@ function findOurOutputs(tx, address) {
 }
 
 // --- LLM ---
-async function askLLM(prompt) {
+// Throws when the model can't answer; the job is then refunded, not answered
+// with the error text
+async function askLLM(prompt, { model, maxTokens, temperature, system, format, signal } = {}) {
+  const options = {};
+  if (maxTokens) options.num_predict = maxTokens;
+  if (temperature !== undefined) options.temperature = temperature;
+  const started = Date.now();
+  let resp;
   try {
-    const resp = await httpPost(`${OLLAMA_URL}/api/generate`, {
-      model: MODEL,
+    resp = await httpPost(`${OLLAMA_URL}/api/generate`, {
+      model,
       prompt,
       stream: false,
-    });
-    // qwen3 puts the answer in thinking field sometimes
-    let answer = resp.response || '';
-    if (resp.thinking && !answer) answer = resp.thinking;
-    // Strip thinking tags if present
-    answer = answer.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
-    return answer || '(no response)';
+      ...(system ? { system } : {}),
+      ...(format === 'json' ? { format: 'json' } : {}),
+      ...(Object.keys(options).length ? { options } : {}),
+    }, { signal });
   } catch (err) {
-    return `Error: ${err.message}`;
+    if (!(signal && signal.aborted)) llmErrors.inc({ model });
+    throw err;
   }
+  llmSeconds.observe({ model }, (Date.now() - started) / 1000);
+  // qwen3 puts the answer in thinking field sometimes
+  let answer = resp.response || '';
+  if (resp.thinking && !answer) answer = resp.thinking;
+  // Strip thinking tags if present
+  answer = answer.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  return answer || '(no response)';
 }
 
-// --- Build response TX ---
-function buildResponseTx(privKey, utxos, jobTxid, resultText) {
-  const B = bsv();
-  const pubKey = privKey.toPublicKey();
-  const address = privKey.toAddress();
-
-  // Truncate result for OP_RETURN (keep under 100KB to be safe)
-  let resultBuf = Buffer.from(resultText, 'utf8');
-  let isHashed = false;
-  if (resultBuf.length > 50000) {
-    // Too large — hash it, store full result in follow-up
-    const hash = crypto.createHash('sha256').update(resultBuf).digest('hex');
-    resultBuf = Buffer.from(`HASH:${hash}`, 'utf8');
-    isHashed = true;
-  }
+// The change output of a tx we built, as a utxo for the next one
+function changeUtxo(tx, keep) {
+  if (keep <= 0) return null;
+  return { txid: tx.id, vout: 1, satoshis: keep, script: tx.outputs[1].script.toHex() };
+}
 
-  const opReturn = new B.Script();
-  opReturn.add(B.Opcode.OP_FALSE);
-  opReturn.add(B.Opcode.OP_RETURN);
-  opReturn.add(Buffer.from('RES', 'utf8'));
-  opReturn.add(Buffer.from(jobTxid, 'hex').reverse()); // little-endian
-  opReturn.add(resultBuf);
-
-  const tx = new B.Transaction();
-  let totalIn = 0;
-
-  for (const utxo of utxos) {
-    tx.addInput(new B.Transaction.Input.PublicKeyHash({
-      output: new B.Transaction.Output({
-        script: B.Script.fromHex(utxo.script),
-        satoshis: utxo.satoshis,
-      }),
-      prevTxId: utxo.txid,
-      outputIndex: utxo.vout,
-      script: B.Script.empty(),
-    }));
-    totalIn += utxo.satoshis;
+// --- Build response TXs ---
+// Everything a job's answer needs is built and signed up front: the RES tx
+// and, for results too large for one OP_RETURN, the CHUNK txs, each spending
+// the change of the one before. The signed hex goes into the job store so a
+// restart can rebroadcast it without asking the LLM again. The RES carries a
+// signed message over the job txid and the result's hash, so the answer can
+// be checked against the agent's address wherever it is read.
+function buildResponseTxs(privKey, utxos, jobTxid, resultText, { encryptTo = null, nonce = null } = {}) {
+  const { pushes, chunks, hash } = buildResPushes(jobTxid, resultText, { encryptTo, extra: { nonce }, signWith: privKey });
+  const { tx, keep } = buildDataTx(privKey, utxos, pushes);
+  const txs = [{ txid: tx.id, hex: tx.uncheckedSerialize() }];
+
+  let utxo = changeUtxo(tx, keep);
+  let kept = keep;
+  for (let i = 0; i < chunks.length; i++) {
+    if (!utxo) throw new Error(`Not enough sats left to send chunk ${i + 1}/${chunks.length}`);
+    let chunkTx, left;
+    try {
+      ({ tx: chunkTx, keep: left } = buildDataTx(privKey, [utxo], buildChunkPushes(jobTxid, i, chunks[i])));
+    } catch (err) {
+      throw new Error(`Not enough sats left to send chunk ${i + 1}/${chunks.length}: ${err.message}`);
+    }
+    txs.push({ txid: chunkTx.id, hex: chunkTx.uncheckedSerialize() });
+    utxo = changeUtxo(chunkTx, left);
+    kept = left;
   }
 
-  // Output 0: OP_RETURN
-  tx.addOutput(new B.Transaction.Output({ script: opReturn, satoshis: 0 }));
+  return { txs, isHashed: chunks.length > 0, hash, keep: kept };
+}
 
-  // Output 1: Keep the sats (minus fee) — accumulate
-  const keep = totalIn - FEE;
-  if (keep > 0) {
-    tx.addOutput(new B.Transaction.Output({
-      script: B.Script.buildPublicKeyHashOut(address),
-      satoshis: keep,
-    }));
+// --- Job store ---
+const store = openJobStore(JOBS_PATH, { importFrom: LEGACY_JOBS_PATH });
+const activeJobs = new Set();
+const WORK_STATES = new Set(['seen', 'paid', 'thinking']);
+
+// --- Coins ---
+// Each job spends only its own payment outputs (and the change chain of its
+// own txs), which is what lets several responses be built in parallel. They
+// are reserved in the shared UTXO set under the job txid until the job's txs
+// go out, so neither another worker nor web.cjs can spend them meanwhile.
+let utxoSet = null;
+
+// Jobs that end without spending their payment hand it over to the wallet
+async function releaseJobCoins(jobTxid) {
+  await utxoSet.release(jobTxid);
+  await utxoSet.untag(jobTxid);
+}
+
+async function reconcileCoins() {
+  try {
+    await utxoSet.reconcile();
+  } catch (err) {
+    log(`⚠️  UTXO reconcile failed: ${err.message}`);
   }
+}
 
-  // Sign
-  const sighashType = B.crypto.Signature.SIGHASH_ALL | B.crypto.Signature.SIGHASH_FORKID;
-  for (let i = 0; i < tx.inputs.length; i++) {
-    const sig = B.Transaction.Sighash.sign(
-      tx, privKey, sighashType,
-      i, tx.inputs[i].output.script, new B.crypto.BN(tx.inputs[i].output.satoshis)
-    );
-    const scriptSig = new B.Script();
-    scriptSig.add(Buffer.concat([sig.toDER(), Buffer.from([sighashType & 0xff])]));
-    scriptSig.add(pubKey.toBuffer());
-    tx.inputs[i].setScript(scriptSig);
+function txLabel(job, i) {
+  if (i === 0) return job.rejected ? 'Refund' : 'Response';
+  return `Chunk ${i}/${job.txs.length - 1}`;
+}
+
+function broadcastDelay(attempts) {
+  return Math.min(BROADCAST_RETRY_MAX, BROADCAST_RETRY_BASE * 2 ** (attempts - 1));
+}
+
+// --- Refunds ---
+// Sends the job's payment (minus the miner fee) back to whoever paid for it,
+// or to the job's reply_to address
+function rejectJob(privKey, tx, utxos, satsReceived, reason, { replyTo = null } = {}) {
+  const jobTxid = tx.txid;
+  jobLog(jobTxid, `🚫 Rejected: ${reason}`);
+
+  const to = replyTo || senderAddress(tx);
+  let keepReason = to ? null : 'no refund address';
+  let refund = null;
+  if (to) {
+    try { refund = buildDataTx(privKey, utxos, buildRefundPushes(jobTxid, reason), { payTo: to }); }
+    catch { keepReason = 'payment too small to refund'; }
+  }
+  if (keepReason) {
+    jobLog(jobTxid, `⚠️  ${keepReason} — keeping payment`);
+    jobsFailed.inc({ reason: 'rejected' });
+    satsKeptTotal.inc({}, satsReceived);
+    return store.update(jobTxid, {
+      state: 'rejected', rejected: reason, satsKept: satsReceived, error: keepReason, timestamp: new Date().toISOString(),
+    });
   }
 
-  return { tx, isHashed, keep };
+  const { tx: refundTx, keep: refunded } = refund;
+  return store.update(jobTxid, {
+    state: 'built',
+    rejected: reason,
+    refundedTo: to,
+    satsRefunded: refunded,
+    satsKept: 0,
+    txs: [{ txid: refundTx.id, hex: refundTx.uncheckedSerialize() }],
+    sent: 0,
+    attempts: 0,
+  });
 }
 
-// --- Main loop ---
-async function processJob(wallet, privKey, txid) {
+// --- Job steps ---
+// seen → paid → thinking → built. Safe to rerun from the top after a crash:
+// everything is re-derived from the job tx. Gives up (and refunds) when the
+// queue's signal fires.
+async function workJob(wallet, privKey, txid, tx, signal) {
   const address = wallet.address;
+  const resuming = store.has(txid);
+  // Jobs resumed after a crash were counted the first time round
+  const counted = resuming && store.get(txid).state !== 'seen';
 
-  log(`📥 New tx: ${txid.slice(0, 16)}...`);
+  jobLog(txid, resuming ? `🔁 Resuming ${store.get(txid).state} job` : '📥 New tx');
+  if (!resuming) store.update(txid, { state: 'seen', firstSeenAt: new Date().toISOString() });
 
   // Fetch full tx
-  const tx = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${txid}`);
-  if (!tx) { log('   Could not fetch tx'); return; }
+  if (!tx) tx = await chain.getTx(txid);
+  if (!tx) { jobLog(txid, 'Could not fetch tx — will retry'); return null; }
 
   // Parse JOB from OP_RETURN
-  const prompt = parseJobFromTx(tx);
-  if (!prompt) { log('   No JOB found in OP_RETURN — skipping'); return; }
+  const parsed = parseJobFromTx(tx, privKey);
+  if (!parsed) {
+    jobLog(txid, 'No JOB found in OP_RETURN — skipping');
+    return store.update(txid, { state: 'skipped', reason: 'no JOB' });
+  }
 
   // Find our UTXOs in this tx
   const utxos = findOurOutputs(tx, address);
-  if (utxos.length === 0) { log('   No outputs to our address — skipping'); return; }
-
-  const satsReceived = utxos.reduce((s, u) => s + u.satoshis, 0);
-  log(`   📋 JOB: "${prompt.slice(0, 80)}${prompt.length > 80 ? '...' : ''}"`);
-  log(`   💰 Received: ${satsReceived} sats`);
-
-  // Do the work
-  log('   🧠 Thinking...');
-  const result = await askLLM(prompt);
-  log(`   ✅ Result: "${result.slice(0, 80)}${result.length > 80 ? '...' : ''}"`);
-
-  // Build and broadcast response
-  const { tx: resTx, isHashed, keep } = buildResponseTx(privKey, utxos, txid, result);
+  if (utxos.length === 0) {
+    jobLog(txid, 'No outputs to our address — skipping');
+    return store.update(txid, { state: 'skipped', reason: 'no payment' });
+  }
 
-  log(`   📤 Broadcasting response (${resTx.uncheckedSerialize().length / 2} bytes)...`);
+  try {
+    await utxoSet.reserveOutpoints(txid, utxos);
+  } catch (err) {
+    if (!/already spent/.test(err.message)) throw err;
+    jobLog(txid, `❌ Payment is gone: ${err.message}`);
+    jobsFailed.inc({ reason: 'payment_gone' });
+    return store.update(txid, { state: 'failed', satsKept: 0, error: err.message, timestamp: new Date().toISOString() });
+  }
 
+  // Plaintext of encrypted jobs is never written to the store or the log
+  const satsReceived = utxos.reduce((s, u) => s + u.satoshis, 0);
+  const prompt = parsed.prompt || null;
+  const encrypted = !!parsed.encrypted;
+  const params = parsed.params || {};
+  const { system, ...shown } = params;
+  const replyTo = params.reply_to || null;
+  jobLog(txid, `💰 Received: ${satsReceived} sats`);
+  store.update(txid, {
+    state: 'paid',
+    prompt: encrypted ? null : prompt,
+    encrypted,
+    version: parsed.version || null,
+    params: encrypted ? shown : params,
+    satsReceived,
+    sender: senderAddress(tx),
+  });
+  if (!counted) {
+    jobsReceived.inc();
+    satsReceivedTotal.inc({}, satsReceived);
+  }
+  if (parsed.error) return rejectJob(privKey, tx, utxos, satsReceived, parsed.error, { replyTo });
+
+  if (encrypted) jobLog(txid, `🔒 Encrypted JOB (${Buffer.byteLength(prompt, 'utf8')} bytes)`);
+  else jobLog(txid, `📋 JOB: "${prompt.slice(0, 80)}${prompt.length > 80 ? '...' : ''}"`);
+
+  // The job's model, or the tier its payment reaches, sets the price
+  const route = routeJob(MODELS, { requested: params.model, satsReceived });
+  if (route.error) return rejectJob(privKey, tx, utxos, satsReceived, route.error, { replyTo });
+  const model = route.model;
+
+  // The system prompt is input like any other and priced the same way
+  const promptBytes = Buffer.byteLength(prompt, 'utf8') + Buffer.byteLength(system || '', 'utf8');
+  const price = quote(model.pricing, { promptBytes, satsReceived, feeRate: FEE_RATE, minFee: MIN_FEE });
+  if (!price.ok) return rejectJob(privKey, tx, utxos, satsReceived, `${price.reason} for ${model.name}`, { replyTo });
+
+  // Do the work — a job may ask for fewer tokens than it paid for, never more
+  const maxTokens = Math.min(price.maxTokens, params.max_tokens || Infinity);
+  store.update(txid, { state: 'thinking', model: model.name, maxTokens });
+  jobLog(txid, `🧠 Thinking with ${model.name} (up to ${maxTokens} tokens)...`);
+  let result;
   try {
-    const resTxid = await wocBroadcast(resTx.uncheckedSerialize());
-    log(`   ✅ Response TX: ${resTxid}`);
-    log(`   💰 Kept: ${keep} sats`);
-
-    // Save job
-    saveJob({
-      jobTxid: txid,
-      resTxid,
-      prompt,
-      result: isHashed ? '(hashed — see follow-up tx)' : result,
-      satsReceived,
-      satsKept: keep,
-      isHashed,
-      timestamp: new Date().toISOString(),
+    result = await askLLM(prompt, {
+      model: model.name, maxTokens, temperature: params.temperature, system, format: params.format, signal,
     });
+  } catch (err) {
+    if (signal && signal.aborted) return rejectJob(privKey, tx, utxos, satsReceived, signal.reason.message, { replyTo });
+    // The reason goes on-chain: the model's name, not the server's error
+    jobLog(txid, `❌ LLM failed: ${err.message}`);
+    return rejectJob(privKey, tx, utxos, satsReceived, `${model.name} is unavailable`, { replyTo });
+  }
+  if (signal && signal.aborted) return rejectJob(privKey, tx, utxos, satsReceived, signal.reason.message, { replyTo });
+  if (encrypted) jobLog(txid, `✅ Result: ${Buffer.byteLength(result, 'utf8')} bytes, encrypting to the requester`);
+  else jobLog(txid, `✅ Result: "${result.slice(0, 80)}${result.length > 80 ? '...' : ''}"`);
 
-    if (isHashed) {
-      log('   ⚠️  Result was hashed (too large). TODO: follow-up tx with full result.');
-    }
+  // Build the response
+  const stored = encrypted ? null : result;
+  try {
+    const { txs, isHashed, hash, keep } = buildResponseTxs(privKey, utxos, txid, result, {
+      encryptTo: parsed.encryptTo, nonce: params.nonce,
+    });
+    if (isHashed) jobLog(txid, `🧩 Result is ${Buffer.byteLength(result, 'utf8')} bytes — ${txs.length - 1} chunk tx(s)`);
+    return store.update(txid, {
+      state: 'built', result: stored, isHashed, resultHash: hash, satsKept: keep, txs, sent: 0, attempts: 0,
+    });
   } catch (err) {
-    log(`   ❌ Broadcast failed: ${err.message}`);
-    // Still save the job attempt
-    saveJob({
-      jobTxid: txid,
-      resTxid: null,
-      prompt,
-      result,
-      satsReceived,
-      satsKept: 0,
-      error: err.message,
-      timestamp: new Date().toISOString(),
+    jobLog(txid, `❌ Could not build response: ${err.message}`);
+    jobsFailed.inc({ reason: 'build' });
+    return store.update(txid, {
+      state: 'failed', result: stored, satsKept: 0, error: err.message, timestamp: new Date().toISOString(),
     });
   }
 }
 
-let lastSeenTxids = new Set();
+// built → broadcast, or back off and retry later, or give up → failed
+async function broadcastJob(job) {
+  let sent = job.sent || 0;
+  for (; sent < job.txs.length; sent++) {
+    const { txid, hex } = job.txs[sent];
+    jobLog(job.jobTxid, `📤 Broadcasting ${txLabel(job, sent).toLowerCase()} (${hex.length / 2} bytes)...`);
+    try {
+      await chain.broadcast(hex);
+    } catch (err) {
+      if (!isAlreadyKnown(err)) {
+        const attempts = (job.attempts || 0) + 1;
+        jobLog(job.jobTxid, `❌ Broadcast failed (attempt ${attempts}/${MAX_BROADCAST_ATTEMPTS}): ${err.message}`);
+        broadcastFailures.inc({ error: broadcastErrorType(err) });
+        if (attempts >= MAX_BROADCAST_ATTEMPTS) {
+          jobsFailed.inc({ reason: 'broadcast' });
+          return store.update(job.jobTxid, {
+            state: 'failed', sent, attempts, satsKept: 0, error: err.message, timestamp: new Date().toISOString(),
+          });
+        }
+        const delay = broadcastDelay(attempts);
+        jobLog(job.jobTxid, `⏳ Retrying in ${Math.round(delay / 1000)}s`);
+        return store.update(job.jobTxid, { sent, attempts, lastError: err.message, nextAttemptAt: Date.now() + delay });
+      }
+    }
+    jobLog(job.jobTxid, `✅ ${txLabel(job, sent)} TX: ${txid}`);
+    // Change feeding the next tx of this job stays reserved for it
+    await utxoSet.commit(job.jobTxid, hex, { hold: sent < job.txs.length - 1 });
+  }
+
+  const txids = job.txs.map(t => t.txid);
+  if (job.rejected) {
+    jobLog(job.jobTxid, `↩️  Refunded ${job.satsRefunded} sats to ${job.refundedTo}`);
+    jobsFailed.inc({ reason: 'refunded' });
+  } else {
+    jobLog(job.jobTxid, `💰 Kept: ${job.satsKept} sats`);
+    jobsSucceeded.inc();
+  }
+  satsKeptTotal.inc({}, job.satsKept);
+  feesSpent.inc({}, job.satsReceived - job.satsKept - (job.satsRefunded || 0));
+  return store.update(job.jobTxid, {
+    state: 'broadcast',
+    sent,
+    lastError: null,
+    nextAttemptAt: null,
+    ...(job.rejected ? { refundTxid: txids[0] } : { resTxid: txids[0] }),
+    ...(job.isHashed ? { chunkTxids: txids.slice(1) } : {}),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// broadcast → confirmed once the last tx of the job is in a block
+async function confirmJob(job) {
+  const last = job.txs[job.txs.length - 1];
+  const tx = await chain.getTx(last.txid);
+  if (tx && tx.confirmations > 0) {
+    jobLog(job.jobTxid, '⛓  Confirmed');
+    // Signed hex is only needed until the txs are mined
+    return store.update(job.jobTxid, { state: 'confirmed', txs: job.txs.map(({ txid }) => ({ txid })) });
+  }
+  return job;
+}
 
-async function pollForJobs(wallet, privKey) {
+// Moves a job through whichever states it still has to go. Jobs that need
+// the LLM run on the queue; broadcast retries and confirmation checks run
+// straight from the poll loop.
+async function processJob(wallet, privKey, txid, tx = null, signal = null) {
+  if (activeJobs.has(txid)) return;
+  activeJobs.add(txid);
   try {
-    const history = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${wallet.address}/history`);
-    if (!history || !Array.isArray(history)) return;
+    let job = store.get(txid);
+    if (!job || WORK_STATES.has(job.state)) job = await workJob(wallet, privKey, txid, tx, signal);
+    if (job && job.state === 'built' && Date.now() >= (job.nextAttemptAt || 0)) job = await broadcastJob(job);
+    if (job && job.state === 'broadcast') await confirmJob(job);
+    if (job && (job.state === 'failed' || job.state === 'rejected')) await releaseJobCoins(txid);
+  } finally {
+    activeJobs.delete(txid);
+  }
+}
+
+async function pollForJobs(wallet, privKey, queue) {
+  try {
+    const history = await chain.getHistory(wallet.address);
 
     for (const entry of history) {
       const txid = entry.tx_hash;
-      if (lastSeenTxids.has(txid)) continue;
-      lastSeenTxids.add(txid);
+      if (store.has(txid) || queue.has(txid)) continue;
+
+      // Not propagated yet — pick it up next poll
+      const tx = await chain.getTx(txid);
+      if (!tx) continue;
 
-      if (isJobProcessed(txid)) continue;
+      // Higher-paying jobs jump the queue
+      const paid = findOurOutputs(tx, wallet.address).reduce((s, u) => s + u.satoshis, 0);
+      queue.push(txid, paid, tx);
+    }
 
-      // Small delay to let tx propagate
-      await new Promise(r => setTimeout(r, 2000));
-      await processJob(wallet, privKey, txid);
+    // Resume, retry and confirm whatever is still in flight
+    const incomplete = store.incomplete();
+    jobsInProgress.set({}, incomplete.length);
+    for (const job of incomplete) {
+      if (WORK_STATES.has(job.state)) queue.push(job.jobTxid, job.satsReceived || 0);
+      else if (!queue.has(job.jobTxid)) await processJob(wallet, privKey, job.jobTxid);
     }
   } catch (err) {
     log(`⚠️  Poll error: ${err.message}`);
@@ -331,9 +478,14 @@ function log(msg) {
   console.log(`[${ts}] ${msg}`);
 }
 
+function jobLog(txid, msg) {
+  log(`[${txid.slice(0, 8)}] ${msg}`);
+}
+
 async function main() {
-  const wallet = loadOrCreateWallet();
+  const wallet = await loadOrCreateWallet();
   const privKey = bsv().PrivateKey.fromWIF(wallet.wif);
+  utxoSet = createUtxoManager({ file: UTXOS_PATH, address: wallet.address, chain });
 
   console.log();
   console.log('═══════════════════════════════════════════════');
@@ -341,31 +493,61 @@ async function main() {
   console.log('   Works for satoshis. No account. No API key.');
   console.log('═══════════════════════════════════════════════');
   console.log(`   Address: ${wallet.address}`);
-  console.log(`   Model:   ${MODEL}`);
+  console.log(`   PubKey:  ${privKey.toPublicKey().toString()}`);
+  console.log(`   Chain:   ${chain.name}`);
+  console.log(`   Models:  ${MODELS.file ? path.basename(MODELS.file) : 'MODEL env'}`);
+  for (const line of describeModels(MODELS)) console.log(`     ${line}`);
+  console.log(`   Fees:    ${FEE_RATE} sat/byte (min ${MIN_FEE}, dust < ${DUST_LIMIT})`);
   console.log(`   Polling:  every ${POLL_INTERVAL / 1000}s`);
-  console.log(`   Jobs log: ${JOBS_PATH}`);
+  console.log(`   Workers:  ${JOB_CONCURRENCY} (timeout ${JOB_TIMEOUT ? `${JOB_TIMEOUT / 1000}s` : 'none'})`);
+  console.log(`   Jobs log: ${JOBS_PATH} (${store.jobs().length} jobs)`);
   console.log();
   console.log('   Send a tx to the address above with:');
   console.log('   OP_RETURN: JOB <your prompt>');
+  console.log('          or: JOB v1 <your prompt> [<param> <value>]...');
+  console.log('          or: EJOB ..., prompt ECIES-encrypted to the key above');
   console.log('   Include payment in a regular output.');
+  console.log('   Underpaid or malformed jobs are refunded to the sender.');
   console.log();
   console.log('   Watching for jobs...');
   console.log();
 
-  // Pre-populate seen txids from existing history
-  try {
-    const history = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${wallet.address}/history`);
-    if (history && Array.isArray(history)) {
-      for (const entry of history) lastSeenTxids.add(entry.tx_hash);
+  // First run: everything already in the history predates the store
+  if (store.created) {
+    const history = await chain.getHistory(wallet.address);
+    for (const entry of history) {
+      if (!store.has(entry.tx_hash)) store.update(entry.tx_hash, { state: 'skipped', reason: 'before job store' });
     }
-  } catch {}
-
-  // Also mark already-processed jobs
-  const existingJobs = loadJobs();
-  for (const j of existingJobs) lastSeenTxids.add(j.jobTxid);
+  }
+  store.compact();
+
+  // Payments of finished jobs that are still unspent belong to the wallet
+  await reconcileCoins();
+  await utxoSet.untag(store.all().filter(j => TERMINAL_STATES.has(j.state)).map(j => j.jobTxid));
+  const coins = utxoSet.stats();
+  log(`🪙 ${coins.coins} coin(s), ${coins.balance} sats (${coins.unconfirmed} unconfirmed)`);
+
+  const incomplete = store.incomplete();
+  if (incomplete.length) log(`🔁 ${incomplete.length} unfinished job(s) in the store — resuming`);
+
+  const queue = createJobQueue({
+    concurrency: JOB_CONCURRENCY,
+    timeout: JOB_TIMEOUT,
+    worker: (txid, tx, signal) => processJob(wallet, privKey, txid, tx, signal),
+    onError: (txid, err) => jobLog(txid, `❌ ${err.message}`),
+  });
 
   // Poll loop
-  setInterval(() => pollForJobs(wallet, privKey), POLL_INTERVAL);
+  let polling = false;
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try { await pollForJobs(wallet, privKey, queue); } finally { polling = false; }
+  };
+  poll();
+  setInterval(poll, POLL_INTERVAL);
+  metrics.start();
+  setInterval(reconcileCoins, RECONCILE_INTERVAL);
 }
 
 main().catch(err => { console.error('❌', err.message); process.exit(1); });
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+'use strict';
+
+// Builds (or brings up to date) the chain index of an agent address, then:
+//
+//   (default)   counts what's on-chain: jobs, responses, refunds, chats
+//   --audit     the same, listing every problem found — unanswered jobs, stray
+//               or duplicate responses, chunked results that don't add up. Any
+//               agent address works, not just this one
+//   --restore   writes a fresh jobs.journal from this agent's own history,
+//               for when the job store was lost
+//   --chats     lists the web chats posted on-chain
+
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('./lib/chain.cjs');
+const { createIndexer } = require('./lib/indexer.cjs');
+const { openJobStore } = require('./lib/jobstore.cjs');
+const { walletInfo } = require('./lib/keystore.cjs');
+
+const FLAGS = new Set(['audit', 'restore', 'chats', 'json', 'help']);
+const args = {};
+for (let i = 2; i < process.argv.length; i++) {
+  if (!process.argv[i].startsWith('--')) continue;
+  const name = process.argv[i].replace(/^--/, '');
+  args[name] = FLAGS.has(name) ? true : process.argv[++i];
+}
+
+const WALLET_PATH = path.join(__dirname, 'wallet.json');
+const JOBS_PATH = path.join(__dirname, 'jobs.journal');
+const INDEX_DIR = path.join(__dirname, 'index');
+const JSON_OUT = !!args.json;
+
+// With --json, stdout carries a single JSON object; progress goes to stderr
+const say = JSON_OUT ? console.error : console.log;
+
+if (args.help) {
+  console.log('Usage: node index-chain.cjs [--address <agent-address>] [--index <path>] [--json]');
+  console.log('       node index-chain.cjs --audit --address <agent-address> [--json]');
+  console.log('       node index-chain.cjs --chats [--address <agent-address>] [--json]');
+  console.log('       node index-chain.cjs --restore');
+  process.exit(1);
+}
+
+function ownAddress() {
+  const wallet = walletInfo(WALLET_PATH);
+  return wallet && wallet.address;
+}
+
+function indexPath(address) {
+  return args.index || path.join(INDEX_DIR, `${address}.json`);
+}
+
+function printAudit(a) {
+  const list = (label, txids) => {
+    say(`   ${label.padEnd(20)} ${txids.length}`);
+    if (!args.audit) return;
+    for (const txid of txids.slice(0, 20)) say(`     ${txid}`);
+    if (txids.length > 20) say(`     ... and ${txids.length - 20} more`);
+  };
+  say(`   Jobs:                ${a.jobs} (${a.encrypted} encrypted)`);
+  say(`   Answered:            ${a.answered} (${a.chunked} chunked)`);
+  say(`   Refunded:            ${a.refunded}`);
+  list('Unanswered:', a.unanswered);
+  say(`   Sats:                ${a.satsReceived} received, ${a.satsKept} kept, ${a.satsRefunded} refunded`);
+  if (a.responseBlocks.median !== null) {
+    say(`   Response time:       ${a.responseBlocks.median} block(s) median, ${a.responseBlocks.max} max`);
+  }
+  say(`   Chats:               ${a.chats} in ${a.chatTxs} tx(s)`);
+  list('Incomplete chunks:', a.incompleteChunks);
+  list('Bad chunk hashes:', a.badChunks);
+  list('Duplicate responses:', a.duplicateResponses);
+  list('Orphan responses:', a.orphanResponses);
+  list('Stray (not signed):', a.stray.map(s => `${s.txid} ${s.tag} from ${s.from || 'unknown'}`));
+}
+
+// A lost job store comes back from the chain; the agent resumes from there
+function restore(indexer) {
+  if (fs.existsSync(JOBS_PATH)) {
+    throw new Error(`${path.basename(JOBS_PATH)} exists — stop the agent and move it aside first`);
+  }
+  const records = indexer.toJobRecords();
+  const store = openJobStore(JOBS_PATH);
+  for (const { jobTxid, ...fields } of records) store.update(jobTxid, fields);
+  store.compact();
+  const done = records.filter(r => r.state !== 'skipped').length;
+  const left = indexer.jobs().filter(j => !j.resTxid && !j.refundTxid).length;
+  say(`♻️  Restored ${done} job(s) and ${records.length - done} other tx(s) into ${JOBS_PATH}`);
+  if (left) say(`   ${left} unanswered job(s) left out — the agent will pick them up on its next poll`);
+  return { restored: done, skipped: records.length - done, unanswered: left };
+}
+
+async function main() {
+  const own = ownAddress();
+  const address = args.address || own;
+  if (!address) throw new Error('No wallet.json — pass --address <agent-address>');
+  if (args.restore && address !== own) throw new Error('--restore only rebuilds this agent\'s own job store');
+
+  const file = indexPath(address);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const chain = createProvider();
+  const indexer = createIndexer({ chain, address, file });
+
+  say(`🔎 Indexing ${address} via ${chain.name}`);
+  const synced = await indexer.sync({ onProgress: ({ scanned, total }) => say(`   ${scanned} new of ${total} tx(s)...`) });
+  say(`   ${synced.scanned} new tx(s), ${synced.jobs} job(s), ${synced.chats} chat(s) — ${file}`);
+  if (synced.pending) say(`   ${synced.pending} tx(s) not served by the provider yet — run again later`);
+  say();
+
+  if (args.restore) {
+    const restored = restore(indexer);
+    if (JSON_OUT) console.log(JSON.stringify(restored));
+    return;
+  }
+
+  if (args.chats) {
+    const chats = indexer.chats();
+    if (JSON_OUT) { console.log(JSON.stringify(chats, null, 2)); return; }
+    for (const c of chats) {
+      say(`💬 ${c.timestamp}  ${c.txid}:${c.vout}`);
+      say(`   > ${c.prompt}`);
+      say(`   ${c.reply}`);
+      say();
+    }
+    if (!chats.length) say('No chats on-chain.');
+    return;
+  }
+
+  const audit = indexer.audit();
+  if (JSON_OUT) { console.log(JSON.stringify(audit, null, 2)); return; }
+  say(args.audit ? `🧾 Audit of ${address}` : `📋 ${address}`);
+  printAudit(audit);
+}
+
+main().catch(err => { console.error('❌', err.message); process.exit(1); });
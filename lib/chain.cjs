@@ -0,0 +1,296 @@
+'use strict';
+
+// Chain providers. Every provider exposes the same five calls and answers in
+// WhatsOnChain's JSON shapes, so callers don't care which one is behind it:
+//
+//   getHistory(address)  → [{ tx_hash, height }]
+//   getTx(txid)          → { txid, vin, vout, confirmations, ... } | null
+//   getUnspent(address)  → [{ tx_hash, tx_pos, value, height }]
+//   getBalance(address)  → { confirmed, unconfirmed }
+//   broadcast(txhex)     → txid
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { httpGet, httpRequest } = require('./http.cjs');
+
+const LOCAL_CHAIN_PATH = process.env.LOCAL_CHAIN_PATH || path.join(__dirname, '..', 'chain-local.json');
+
+let bsvLib;
+function bsv() {
+  if (!bsvLib) bsvLib = require('scrypt-ts').bsv;
+  return bsvLib;
+}
+
+// --- WhatsOnChain ---
+function createWocProvider({ network = 'main' } = {}) {
+  const base = `https://api.whatsonchain.com/v1/bsv/${network}`;
+
+  return {
+    name: `whatsonchain/${network}`,
+
+    async getHistory(address) {
+      const history = await httpGet(`${base}/address/${address}/history`);
+      return Array.isArray(history) ? history : [];
+    },
+
+    getTx(txid) {
+      return httpGet(`${base}/tx/${txid}`);
+    },
+
+    async getUnspent(address) {
+      const utxos = await httpGet(`${base}/address/${address}/unspent`);
+      return Array.isArray(utxos) ? utxos : [];
+    },
+
+    async getBalance(address) {
+      const bal = await httpGet(`${base}/address/${address}/balance`);
+      return bal || { confirmed: 0, unconfirmed: 0 };
+    },
+
+    async broadcast(txhex) {
+      const { status, body } = await httpRequest('POST', `${base}/tx/raw`, { txhex });
+      if (status >= 400) throw new Error(`Broadcast: ${body}`);
+      return body.replace(/"/g, '').trim();
+    },
+  };
+}
+
+// --- Local chain ---
+// Accepts broadcasts, checks inputs exist and are unspent, and serves the txs
+// back. With a file path the state survives restarts and is shared between
+// processes (each call re-reads the file); without one it lives in memory.
+function createLocalProvider({ file = null, autoMine = true } = {}) {
+  let memory = { height: 0, txs: {} };
+
+  function load() {
+    if (!file) return memory;
+    if (!fs.existsSync(file)) return { height: 0, txs: {} };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function save(state) {
+    if (!file) { memory = state; return; }
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function decode(state) {
+    const B = bsv();
+    const txs = {};
+    for (const [txid, entry] of Object.entries(state.txs)) {
+      txs[txid] = { ...entry, tx: new B.Transaction(entry.hex) };
+    }
+    return txs;
+  }
+
+  function outputAddress(output) {
+    return output.script.isPublicKeyHashOut() ? output.script.toAddress().toString() : null;
+  }
+
+  function spentOutpoints(txs) {
+    const spent = new Set();
+    for (const { tx } of Object.values(txs)) {
+      for (const input of tx.inputs) {
+        if (!input.isNull()) spent.add(`${input.prevTxId.toString('hex')}:${input.outputIndex}`);
+      }
+    }
+    return spent;
+  }
+
+  function scriptType(script) {
+    if (script.isPublicKeyHashOut()) return 'pubkeyhash';
+    if (script.isSafeDataOut() || script.isDataOut()) return 'nulldata';
+    return 'nonstandard';
+  }
+
+  function toJson(txid, entry, height) {
+    const { tx } = entry;
+    return {
+      txid,
+      hash: txid,
+      version: tx.version,
+      locktime: tx.nLockTime,
+      size: entry.hex.length / 2,
+      vin: tx.inputs.map(input => input.isNull()
+        ? { coinbase: input.script.toHex(), sequence: input.sequenceNumber }
+        : {
+          txid: input.prevTxId.toString('hex'),
+          vout: input.outputIndex,
+          scriptSig: { asm: input.script.toASM(), hex: input.script.toHex() },
+          sequence: input.sequenceNumber,
+        }),
+      vout: tx.outputs.map((output, n) => {
+        const address = outputAddress(output);
+        return {
+          value: output.satoshis / 1e8,
+          n,
+          scriptPubKey: {
+            asm: output.script.toASM(),
+            hex: output.script.toHex(),
+            type: scriptType(output.script),
+            ...(address ? { addresses: [address] } : {}),
+          },
+        };
+      }),
+      blockheight: entry.height || undefined,
+      confirmations: entry.height ? height - entry.height + 1 : 0,
+    };
+  }
+
+  function accept(state, txid, hex) {
+    state.txs[txid] = { hex, height: autoMine ? ++state.height : 0 };
+    save(state);
+    return txid;
+  }
+
+  return {
+    name: file ? `local/${path.basename(file)}` : 'local/memory',
+
+    async getHistory(address) {
+      const txs = decode(load());
+      const history = [];
+      for (const [txid, { tx, height }] of Object.entries(txs)) {
+        const paysUs = tx.outputs.some(o => outputAddress(o) === address);
+        const spendsUs = tx.inputs.some(i => {
+          const prev = txs[i.prevTxId.toString('hex')];
+          return prev && outputAddress(prev.tx.outputs[i.outputIndex]) === address;
+        });
+        if (paysUs || spendsUs) history.push({ tx_hash: txid, height });
+      }
+      return history;
+    },
+
+    async getTx(txid) {
+      const state = load();
+      if (!state.txs[txid]) return null;
+      const txs = decode({ txs: { [txid]: state.txs[txid] } });
+      return toJson(txid, txs[txid], state.height);
+    },
+
+    async getUnspent(address) {
+      const txs = decode(load());
+      const spent = spentOutpoints(txs);
+      const utxos = [];
+      for (const [txid, { tx, height }] of Object.entries(txs)) {
+        tx.outputs.forEach((output, n) => {
+          if (outputAddress(output) !== address || spent.has(`${txid}:${n}`)) return;
+          utxos.push({ tx_hash: txid, tx_pos: n, value: output.satoshis, height });
+        });
+      }
+      return utxos;
+    },
+
+    async getBalance(address) {
+      const utxos = await this.getUnspent(address);
+      const bal = { confirmed: 0, unconfirmed: 0 };
+      for (const u of utxos) bal[u.height ? 'confirmed' : 'unconfirmed'] += u.value;
+      return bal;
+    },
+
+    async broadcast(txhex) {
+      const B = bsv();
+      const state = load();
+      let tx;
+      try { tx = new B.Transaction(txhex); }
+      catch (err) { throw new Error(`Broadcast: bad transaction (${err.message})`); }
+
+      const txid = tx.id;
+      if (state.txs[txid]) throw new Error('Broadcast: txn-already-known');
+
+      const txs = decode(state);
+      const spent = spentOutpoints(txs);
+      let totalIn = 0;
+      for (const input of tx.inputs) {
+        const prevTxid = input.prevTxId.toString('hex');
+        const prev = txs[prevTxid];
+        if (!prev || !prev.tx.outputs[input.outputIndex]) throw new Error(`Broadcast: missing inputs (${prevTxid}:${input.outputIndex})`);
+        if (spent.has(`${prevTxid}:${input.outputIndex}`)) throw new Error('Broadcast: txn-mempool-conflict');
+        totalIn += prev.tx.outputs[input.outputIndex].satoshis;
+      }
+      const totalOut = tx.outputs.reduce((s, o) => s + o.satoshis, 0);
+      if (totalOut > totalIn) throw new Error(`Broadcast: outputs (${totalOut}) exceed inputs (${totalIn})`);
+
+      return accept(state, txid, txhex);
+    },
+
+    // Local-only: mint coins out of thin air to an address
+    async fund(address, satoshis) {
+      const B = bsv();
+      const tx = new B.Transaction();
+      tx.uncheckedAddInput(new B.Transaction.Input({
+        prevTxId: Buffer.alloc(32),
+        outputIndex: 0xffffffff,
+        script: new B.Script().add(crypto.randomBytes(8)),
+      }));
+      tx.addOutput(new B.Transaction.Output({
+        script: B.Script.buildPublicKeyHashOut(B.Address.fromString(address)),
+        satoshis,
+      }));
+      return accept(load(), tx.id, tx.uncheckedSerialize());
+    },
+
+    // Local-only: confirm everything in the mempool
+    async mine() {
+      const state = load();
+      const height = state.height + 1;
+      let count = 0;
+      for (const entry of Object.values(state.txs)) {
+        if (!entry.height) { entry.height = height; count++; }
+      }
+      state.height = height;
+      save(state);
+      return count;
+    },
+  };
+}
+
+// Nodes that already have the tx answer with an error, but it went out fine
+function isAlreadyKnown(err) {
+  return /already.known|already in the mempool|txn-already-known|already have transaction/i.test(err.message);
+}
+
+// A rejected broadcast, in a few words fit for a metric label
+function broadcastErrorType(err) {
+  const m = err.message;
+  if (/missing inputs|bad-txns-inputs/i.test(m)) return 'missing_inputs';
+  if (/mempool-conflict|already spent|double spend/i.test(m)) return 'double_spend';
+  if (/too-long-mempool-chain|chain too long/i.test(m)) return 'mempool_chain';
+  if (/fee|dust/i.test(m)) return 'fee';
+  if (/ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket|timeout|HTTP 5\d\d/i.test(m)) return 'network';
+  return 'other';
+}
+
+// --- Selection ---
+// CHAIN_PROVIDER=woc (default) or local. WOC_NETWORK picks main/test.
+function createProvider(name = process.env.CHAIN_PROVIDER || 'woc') {
+  if (name === 'woc') return createWocProvider({ network: process.env.WOC_NETWORK || 'main' });
+  if (name === 'local') {
+    return createLocalProvider({
+      file: LOCAL_CHAIN_PATH,
+      autoMine: process.env.LOCAL_CHAIN_AUTOMINE !== '0',
+    });
+  }
+  if (name === 'memory') return createLocalProvider();
+  throw new Error(`Unknown chain provider: ${name}`);
+}
+
+module.exports = { createProvider, createWocProvider, createLocalProvider, isAlreadyKnown, broadcastErrorType };
+
+// CLI for the local chain: node lib/chain.cjs fund <address> <sats> | mine
+if (require.main === module) {
+  const [cmd, ...rest] = process.argv.slice(2);
+  const chain = createLocalProvider({ file: LOCAL_CHAIN_PATH });
+  (async () => {
+    if (cmd === 'fund' && rest.length === 2) {
+      const txid = await chain.fund(rest[0], parseInt(rest[1]));
+      console.log(`💰 Funded ${rest[0]} with ${rest[1]} sats — ${txid}`);
+    } else if (cmd === 'mine') {
+      console.log(`⛏  Mined ${await chain.mine()} tx(s)`);
+    } else {
+      console.log('Usage: node lib/chain.cjs fund <address> <sats> | mine');
+      process.exit(1);
+    }
+  })().catch(err => { console.error('❌', err.message); process.exit(1); });
+}
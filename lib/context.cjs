@@ -0,0 +1,86 @@
+'use strict';
+
+// Conversation context for the web chat, sized in tokens.
+//
+// A chat is sent to Ollama as real messages: the system prompt (with the
+// rolling summary, if the conversation has one), then as many recent
+// exchanges as fit the model's context window, then the new prompt. Room is
+// kept for the reply. Tokens are estimated at CHARS_PER_TOKEN characters each.
+//
+// Exchanges that no longer fit are folded into the summary, stored with the
+// conversation as { text, messages } — messages being how many of the
+// conversation's messages it covers. Folding goes back far enough that the
+// rest fits in half the room, so it doesn't have to run on every turn.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD = 4;    // role markers and separators, per message
+const REPLY_RESERVE = 1024;    // tokens kept free for the answer
+const SUMMARY_TOKENS = 300;    // cap on a summary's length
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD;
+}
+
+const complete = m => !m.pending && typeof m.result === 'string';
+const exchangeTokens = m => estimateTokens(m.prompt) + estimateTokens(m.result);
+
+// Oldest index from which history[from..] fits in budget tokens
+function fitFrom(history, from, budget) {
+  let used = 0;
+  for (let i = history.length - 1; i >= from; i--) {
+    if (!complete(history[i])) continue;
+    used += exchangeTokens(history[i]);
+    if (used > budget) return i + 1;
+  }
+  return from;
+}
+
+function withSummary(system, summary) {
+  return summary ? `${system}\n\nSummary of this conversation so far:\n${summary.text}` : system;
+}
+
+// → { start, foldTo }: the conversation's messages from start go in verbatim;
+// if foldTo is set, messages up to it should be folded into the summary first
+function planContext({ history, summary, system, prompt, contextTokens, reserve = REPLY_RESERVE }) {
+  const from = summary ? summary.messages : 0;
+  const fixed = estimateTokens(withSummary(system, summary)) + estimateTokens(prompt) + reserve;
+  const budget = Math.max(0, contextTokens - fixed);
+  const start = fitFrom(history, from, budget);
+  if (start === from) return { start, foldTo: null };
+  // Leave room for the summary to grow
+  return { start, foldTo: fitFrom(history, from, Math.max(0, budget - SUMMARY_TOKENS) / 2) };
+}
+
+function buildMessages({ history, summary, system, prompt, start }) {
+  const messages = [{ role: 'system', content: withSummary(system, summary) }];
+  for (const m of history.slice(start)) {
+    if (!complete(m)) continue;
+    messages.push({ role: 'user', content: m.prompt }, { role: 'assistant', content: m.result });
+  }
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+}
+
+// What to ask the model for an updated summary covering history[0..to)
+function summaryMessages({ history, summary, to }) {
+  const from = summary ? summary.messages : 0;
+  const exchanges = history.slice(from, to).filter(complete)
+    .map(m => `User: ${m.prompt}\nAssistant: ${m.result}`).join('\n\n');
+  return [
+    {
+      role: 'system',
+      content: 'You keep a running summary of a chat between a user and BSV Agent, an AI on the BSV blockchain. ' +
+        'Merge the existing summary and the new exchanges into one updated summary of at most 150 words. ' +
+        'Keep names, facts, preferences, decisions and open questions. Reply with the summary only.',
+    },
+    {
+      role: 'user',
+      content: `Existing summary:\n${summary ? summary.text : '(none)'}\n\nNew exchanges:\n${exchanges}`,
+    },
+  ];
+}
+
+module.exports = {
+  estimateTokens, planContext, buildMessages, summaryMessages,
+  REPLY_RESERVE, SUMMARY_TOKENS, CHARS_PER_TOKEN,
+};
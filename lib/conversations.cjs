@@ -0,0 +1,185 @@
+'use strict';
+
+// Web chat memory: named conversation threads, per session.
+//
+//   conversations/<session id>/<conversation id>.json
+//     { id, title, createdAt, updatedAt, messages: [{ prompt, result, txid, timestamp, pending? }] }
+//
+// Before sessions, memory was one history per client IP, in
+// conversations/<first 16 hex of sha256(ip)>/history.json, the IP being the
+// X-Forwarded-For value when there was one. An IP proves nothing about who is
+// asking — a shared NAT, a forged header — so these are never handed out
+// automatically. The operator moves one into a session on request, as a
+// thread of its own:
+//
+//   node lib/conversations.cjs legacy
+//   node lib/conversations.cjs import <ip | legacy id> <session id>
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SESSION_RE = /^[0-9a-f]{32}$/;
+const LEGACY_RE = /^[0-9a-f]{16}$/;
+const CONVERSATION_RE = /^[0-9a-f]{12}$/;
+const DEFAULT_TITLE = 'New chat';
+const MAX_TITLE = 80;
+
+function cleanTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE);
+}
+
+function openConversations(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  function sessionDir(sid) {
+    if (!SESSION_RE.test(sid)) throw new Error('Bad session id');
+    return path.join(dir, sid);
+  }
+
+  function fileFor(sid, id) {
+    return CONVERSATION_RE.test(id || '') ? path.join(sessionDir(sid), `${id}.json`) : null;
+  }
+
+  function read(file) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+  }
+
+  function write(sid, conv) {
+    const file = path.join(sessionDir(sid), `${conv.id}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(conv, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function summary(conv) {
+    const { id, title, createdAt, updatedAt } = conv;
+    return { id, title, createdAt, updatedAt, messages: conv.messages.length };
+  }
+
+  // Most recently used first
+  function list(sid) {
+    const d = sessionDir(sid);
+    if (!fs.existsSync(d)) return [];
+    return fs.readdirSync(d)
+      .filter(f => f.endsWith('.json'))
+      .map(f => read(path.join(d, f)))
+      .filter(Boolean)
+      .map(summary)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  function get(sid, id) {
+    const file = fileFor(sid, id);
+    return file ? read(file) : null;
+  }
+
+  function create(sid, { title, messages = [] } = {}) {
+    const now = new Date().toISOString();
+    const conv = {
+      id: crypto.randomBytes(6).toString('hex'),
+      title: cleanTitle(title) || DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      messages,
+    };
+    write(sid, conv);
+    return conv;
+  }
+
+  // Read-modify-write of one thread; fn edits it in place. → the thread, or
+  // null if it doesn't exist (e.g. deleted while a chat was running)
+  function update(sid, id, fn, { touch = true } = {}) {
+    const conv = get(sid, id);
+    if (!conv) return null;
+    fn(conv);
+    if (touch) conv.updatedAt = new Date().toISOString();
+    write(sid, conv);
+    return conv;
+  }
+
+  function rename(sid, id, title) {
+    const t = cleanTitle(title);
+    if (!t) throw new Error('Empty title');
+    const conv = update(sid, id, c => { c.title = t; }, { touch: false });
+    return conv && summary(conv);
+  }
+
+  function remove(sid, id) {
+    const file = fileFor(sid, id);
+    if (!file || !fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  // --- Pre-session histories ---
+  const legacyHistory = legacyId => read(path.join(dir, legacyId, 'history.json'));
+
+  // → [{ id, messages, lastAt }]
+  function listLegacy() {
+    return fs.readdirSync(dir)
+      .filter(f => LEGACY_RE.test(f))
+      .map(id => ({ id, history: legacyHistory(id) }))
+      .filter(({ history }) => Array.isArray(history))
+      .map(({ id, history }) => ({ id, messages: history.length, lastAt: history.length ? history[history.length - 1].timestamp || null : null }));
+  }
+
+  // Moves one pre-session history into a session → thread, or null if it
+  // held no finished messages. Throws if there's no such history.
+  function importLegacy(sid, legacyId) {
+    if (!LEGACY_RE.test(legacyId)) throw new Error('Bad legacy id');
+    sessionDir(sid);
+    const legacyDir = path.join(dir, legacyId);
+    const history = legacyHistory(legacyId);
+    if (!Array.isArray(history)) throw new Error(`No pre-session history ${legacyId}`);
+    const messages = history.filter(m => m && !m.pending);
+    let conv = null;
+    if (messages.length) {
+      conv = create(sid, { title: 'Earlier chat', messages });
+      conv.createdAt = messages[0].timestamp || conv.createdAt;
+      conv.updatedAt = messages[messages.length - 1].timestamp || conv.updatedAt;
+      write(sid, conv);
+    }
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+    return conv;
+  }
+
+  return { list, get, create, update, rename, remove, summary, listLegacy, importLegacy };
+}
+
+const legacyIdOf = ip => crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16);
+
+// --- CLI ---
+if (require.main === module) {
+  const [cmd, ...rest] = process.argv.slice(2);
+  const dir = path.join(__dirname, '..', 'conversations');
+  try {
+    const conversations = openConversations(dir);
+    if (cmd === 'legacy') {
+      const all = conversations.listLegacy();
+      for (const l of all) console.log(`${l.id}  ${String(l.messages).padStart(4)} message(s)  last ${l.lastAt || '—'}`);
+      if (!all.length) console.log('No pre-session histories left.');
+    } else if (cmd === 'import' && rest.length === 2) {
+      // A session id as the user sees it (the first 8 hex) is enough once
+      // that session has a conversation on disk
+      const [from, session] = rest;
+      const legacyId = LEGACY_RE.test(from) ? from : legacyIdOf(from);
+      const sids = fs.readdirSync(dir).filter(f => SESSION_RE.test(f) && session.length >= 8 && f.startsWith(session));
+      const sid = SESSION_RE.test(session) ? session : sids.length === 1 ? sids[0] : null;
+      if (!sid) throw new Error(sids.length ? `Session ${session} is ambiguous — give more of it` : `No session ${session} — it needs a conversation first`);
+      const conv = conversations.importLegacy(sid, legacyId);
+      console.log(conv
+        ? `📦 Moved ${conv.messages.length} message(s) of ${legacyId} into session ${sid.slice(0, 8)} as "${conv.title}"`
+        : `🗑  ${legacyId} held no finished messages — removed`);
+    } else {
+      console.log('Usage: node lib/conversations.cjs legacy');
+      console.log('       node lib/conversations.cjs import <ip | legacy id> <session id>');
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { openConversations, DEFAULT_TITLE };
@@ -0,0 +1,213 @@
+'use strict';
+
+// Spend governor for the free web chat, where the agent pays every miner fee.
+//
+//   Rate limits   per session and per client IP, over the last minute and hour,
+//                 plus one chat in flight per session. Kept in memory.
+//   Daily budget  sats of fees across all users per UTC day, kept in
+//                 budget.json so a restart doesn't reset it. Each chat holds
+//                 an estimate of its fee from admission until its tx is sent,
+//                 when the real fee takes its place, so chats still being
+//                 answered or waiting in the post queue count too. Once
+//                 spent and held reach the limit, chats are refused until
+//                 midnight UTC.
+//   Survival      by wallet balance: below SURVIVAL_BALANCE answers are capped
+//                 at SURVIVAL_MAX_TOKENS; below CRITICAL_BALANCE the agent
+//                 still answers but stops posting chats on-chain.
+//
+// A limit of 0 turns that limit off.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const BALANCE_TTL = MINUTE;
+
+function int(value, fallback) {
+  const n = parseInt(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function loadGovernorConfig(env = process.env) {
+  return {
+    sessionPerMinute: int(env.CHAT_LIMIT_PER_MINUTE, 5),
+    sessionPerHour: int(env.CHAT_LIMIT_PER_HOUR, 30),
+    ipPerHour: int(env.CHAT_LIMIT_IP_PER_HOUR, 120),
+    dailyBudget: int(env.DAILY_BUDGET_SATS, 20000),
+    survivalBalance: int(env.SURVIVAL_BALANCE, 5000),
+    survivalMaxTokens: int(env.SURVIVAL_MAX_TOKENS, 150),
+    criticalBalance: int(env.CRITICAL_BALANCE, 1000),
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextMidnight() {
+  const d = new Date();
+  d.setUTCHours(24, 0, 0, 0);
+  return d;
+}
+
+// getBalance: async () → sats
+function createGovernor({ file, getBalance, config = loadGovernorConfig() }) {
+  const hits = new Map();          // 'session:<id>' / 'ip:<addr>' → timestamps
+  const inFlight = new Set();      // session ids with a chat running
+  let lastSweep = Date.now();
+  let balance = null;
+  let balanceAt = 0;
+
+  function loadBudget() {
+    try {
+      const b = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (b.day === today()) return b;
+    } catch {}
+    return { day: today(), spent: 0, chats: 0, reserved: {} };
+  }
+
+  function saveBudget(b) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(b, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function budget() {
+    const b = loadBudget();
+    const reserved = Object.values(b.reserved || {}).reduce((s, sats) => s + sats, 0);
+    return {
+      limit: config.dailyBudget || null,
+      spent: b.spent,
+      reserved,
+      chats: b.chats,
+      remaining: config.dailyBudget ? Math.max(0, config.dailyBudget - b.spent - reserved) : null,
+      resetsAt: nextMidnight().toISOString(),
+    };
+  }
+
+  // Timestamps for key within the last hour, pruned in place
+  function recent(key, now) {
+    const list = (hits.get(key) || []).filter(t => now - t < HOUR);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  }
+
+  function sweep(now) {
+    if (now - lastSweep < 10 * MINUTE) return;
+    lastSweep = now;
+    for (const key of [...hits.keys()]) recent(key, now);
+  }
+
+  // → seconds until a slot frees up, or 0 if under the limit
+  function wait(list, limit, window, now) {
+    const inWindow = list.filter(t => now - t < window);
+    if (!limit || inWindow.length < limit) return 0;
+    return Math.ceil((inWindow[inWindow.length - limit] + window - now) / 1000);
+  }
+
+  // Holds sats of today's budget under a reservation id (null clears it)
+  function reserve(id, sats) {
+    const b = loadBudget();
+    b.reserved = b.reserved || {};
+    if (sats === null) delete b.reserved[id];
+    else b.reserved[id] = sats;
+    saveBudget(b);
+  }
+
+  // fee is the chat's estimated miner fee, held against the budget until the
+  // chat is posted (record) or isn't (release without hold).
+  // → { ok: true, reservation, hold(fee), release() }
+  //   or { ok: false, status, error, retryAfter }
+  function admit({ session, ip, fee = 0 }) {
+    const now = Date.now();
+    sweep(now);
+
+    if (inFlight.has(session)) {
+      return { ok: false, status: 429, error: 'One message at a time — wait for the reply', retryAfter: 5 };
+    }
+
+    const mine = recent(`session:${session}`, now);
+    const theirs = recent(`ip:${ip}`, now);
+    const retryAfter = Math.max(
+      wait(mine, config.sessionPerMinute, MINUTE, now),
+      wait(mine, config.sessionPerHour, HOUR, now),
+      wait(theirs, config.ipPerHour, HOUR, now),
+    );
+    if (retryAfter) {
+      return { ok: false, status: 429, error: `Slow down — try again in ${retryAfter}s`, retryAfter };
+    }
+
+    const b = budget();
+    if (b.remaining !== null && (b.remaining === 0 || fee > b.remaining)) {
+      const retry = Math.ceil((Date.parse(b.resetsAt) - now) / 1000);
+      return { ok: false, status: 503, error: `Today's budget of ${b.limit} sats is used up — back at 00:00 UTC`, retryAfter: retry };
+    }
+
+    mine.push(now);
+    theirs.push(now);
+    hits.set(`session:${session}`, mine);
+    hits.set(`ip:${ip}`, theirs);
+    inFlight.add(session);
+    const reservation = crypto.randomBytes(6).toString('hex');
+    let held = false;
+    reserve(reservation, fee);
+    return {
+      ok: true,
+      reservation,
+      // The chat is queued for posting: keep holding, at its fee now the reply is known
+      hold: sats => {
+        held = true;
+        reserve(reservation, sats);
+      },
+      release: () => {
+        inFlight.delete(session);
+        if (!held) reserve(reservation, null);
+      },
+    };
+  }
+
+  // Count the miner fee of a posted tx (of that many chats) against today's
+  // budget, in place of what its chats' reservations held
+  function record(fee, chats = 1, reservations = []) {
+    const b = loadBudget();
+    b.reserved = b.reserved || {};
+    for (const id of reservations) delete b.reserved[id];
+    b.spent += fee;
+    b.chats += chats;
+    saveBudget(b);
+    if (balance !== null) balance -= fee;
+  }
+
+  async function currentBalance() {
+    if (balance === null || Date.now() - balanceAt > BALANCE_TTL) {
+      try {
+        balance = await getBalance();
+        balanceAt = Date.now();
+      } catch {}
+    }
+    return balance;
+  }
+
+  // → { balance, mode: 'normal' | 'survival' | 'critical', maxTokens, posting, budget }
+  async function status() {
+    const sats = await currentBalance();
+    let mode = 'normal';
+    if (sats !== null && sats < config.criticalBalance) mode = 'critical';
+    else if (sats !== null && sats < config.survivalBalance) mode = 'survival';
+    return {
+      balance: sats,
+      mode,
+      maxTokens: mode === 'normal' ? null : config.survivalMaxTokens,
+      posting: mode !== 'critical',
+      budget: budget(),
+    };
+  }
+
+  // A queued chat that will never be posted gives back what it held
+  const cancel = reservation => reserve(reservation, null);
+
+  return { admit, record, cancel, status, config };
+}
+
+module.exports = { createGovernor, loadGovernorConfig };
@@ -0,0 +1,108 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+function httpGet(url) {
+  const mod = url.startsWith('https') ? https : http;
+  return new Promise((resolve, reject) => {
+    mod.get(url, { headers: { Accept: 'application/json' } }, res => {
+      let d = '';
+      res.on('data', c => d += c);
+      res.on('end', () => {
+        if (res.statusCode === 404) return resolve(null);
+        try { resolve(JSON.parse(d)); }
+        catch { resolve(null); }
+      });
+    }).on('error', reject);
+  });
+}
+
+// Raw request — resolves with status and body text, leaves interpretation to the caller
+function httpRequest(method, url, body, { signal } = {}) {
+  const mod = url.startsWith('https') ? https : http;
+  const parsed = new URL(url);
+  const data = body === undefined ? null : JSON.stringify(body);
+  const headers = { Accept: 'application/json' };
+  if (data !== null) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(data);
+  }
+  return new Promise((resolve, reject) => {
+    const req = mod.request({
+      hostname: parsed.hostname,
+      port: parsed.port,
+      path: parsed.pathname + parsed.search,
+      method,
+      headers,
+      signal,
+    }, res => {
+      let d = '';
+      res.on('data', c => d += c);
+      res.on('end', () => resolve({ status: res.statusCode, body: d }));
+    });
+    req.on('error', reject);
+    if (data !== null) req.write(data);
+    req.end();
+  });
+}
+
+async function httpPost(url, body, opts) {
+  const { body: d } = await httpRequest('POST', url, body, opts);
+  try { return JSON.parse(d); }
+  catch { throw new Error(`Bad JSON: ${d.slice(0, 200)}`); }
+}
+
+// POST that reads a newline-delimited JSON response as it arrives, calling
+// onLine for each object. Resolves once the response ends.
+function httpStream(url, body, { signal, onLine } = {}) {
+  const mod = url.startsWith('https') ? https : http;
+  const parsed = new URL(url);
+  const data = JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = mod.request({
+      hostname: parsed.hostname,
+      port: parsed.port,
+      path: parsed.pathname + parsed.search,
+      method: 'POST',
+      headers: {
+        Accept: 'application/x-ndjson',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+      },
+      signal,
+    }, res => {
+      let buf = '';
+      if (res.statusCode !== 200) {
+        res.on('data', c => buf += c);
+        res.on('end', () => reject(new Error(`HTTP ${res.statusCode}: ${buf.slice(0, 200)}`)));
+        return;
+      }
+      res.setEncoding('utf8');
+      res.on('data', c => {
+        buf += c;
+        let nl;
+        while ((nl = buf.indexOf('\n')) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line) continue;
+          try { onLine(JSON.parse(line)); }
+          catch (err) { reject(err); req.destroy(); return; }
+        }
+      });
+      res.on('end', () => {
+        try { if (buf.trim()) onLine(JSON.parse(buf)); }
+        catch (err) { reject(err); return; }
+        resolve();
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    // An abort mid-response doesn't always surface as an error
+    if (signal) signal.addEventListener('abort', () => reject(signal.reason || new Error('Aborted')), { once: true });
+    req.write(data);
+    req.end();
+  });
+}
+
+module.exports = { httpGet, httpPost, httpRequest, httpStream };
@@ -0,0 +1,257 @@
+'use strict';
+
+// Chain indexer: rebuilds an address's job and chat history from the chain
+// alone, without the job store or web.cjs's conversations.
+//
+// It walks the address history through the chain provider, decodes the
+// OP_RETURNs of every tx and keeps what it found in an index file, so the next
+// sync only fetches txs it hasn't seen:
+//
+//   { address, updatedAt,
+//     txs:    { txid: { height, time } }         every tx looked at
+//     jobs:   { job txid: { prompt, result, resTxid, refundTxid, ... } }
+//     chats:  [{ txid, vout, prompt, reply }]
+//     chunks: { job txid: { index: { txid, hex, keep } } }   until assembled
+//     stray:  [{ txid, tag, from }] }
+//
+// JOB and EJOB are keyed by their txid; RES, ERES, REFUND and CHUNK are paired
+// with theirs by the reversed txid push. Anyone can put a RES in a tx that
+// pays the address, so responses, refunds, chunks and chats only count when
+// the address itself signed the tx's first input — the rest are kept as stray.
+// Encrypted prompts and results stay null: the index holds no keys.
+
+const fs = require('fs');
+const {
+  parseJob, parseRes, parseRefund, parseChunk, parseChats, senderAddress, assembleResult, findPushes,
+} = require('./protocol.cjs');
+
+const TAGS = ['RES', 'ERES', 'REFUND', 'CHUNK', 'CHAT'];
+
+function emptyIndex(address) {
+  return { address, updatedAt: null, txs: {}, jobs: {}, chats: [], chunks: {}, stray: [] };
+}
+
+function loadIndex(file, address = null) {
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!address || index.address === address) return index;
+  } catch {}
+  return emptyIndex(address);
+}
+
+function satsTo(tx, address, mine = true) {
+  return (tx.vout || [])
+    .filter(v => !!(v.scriptPubKey && v.scriptPubKey.addresses && v.scriptPubKey.addresses.includes(address)) === mine)
+    .reduce((s, v) => s + Math.round(v.value * 1e8), 0);
+}
+
+function txTime(tx) {
+  const t = tx.blocktime || tx.time;
+  return t ? new Date(t * 1000).toISOString() : new Date().toISOString();
+}
+
+function median(list) {
+  if (!list.length) return null;
+  const sorted = [...list].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function createIndexer({ chain, address, file }) {
+  const index = loadIndex(file, address);
+
+  function save() {
+    index.updatedAt = new Date().toISOString();
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(index, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function job(jobTxid, fields) {
+    index.jobs[jobTxid] = { ...index.jobs[jobTxid], jobTxid, ...fields };
+    return index.jobs[jobTxid];
+  }
+
+  // Chunked results, once every chunk from 0 to chunkCount-1 is in
+  function assemble(jobTxid) {
+    const j = index.jobs[jobTxid];
+    const chunks = index.chunks[jobTxid] || {};
+    if (!j || !j.resultHash) return;
+    const indices = [...Array(j.chunkCount).keys()];
+    if (!indices.every(i => chunks[i])) return;
+    const res = { jobTxid, encrypted: j.encrypted, hash: j.resultHash, chunkCount: j.chunkCount };
+    const parts = indices.map(i => ({ jobTxid, index: i, data: Buffer.from(chunks[i].hex, 'hex') }));
+    try {
+      const result = assembleResult(res, parts);
+      job(jobTxid, { result: j.encrypted ? null : result, resultVerified: true });
+    } catch (err) {
+      job(jobTxid, { resultVerified: false, error: err.message });
+    }
+    const last = chunks[j.chunkCount - 1];
+    job(jobTxid, { chunkTxids: indices.map(i => chunks[i].txid), satsKept: last ? last.keep : j.satsKept });
+    delete index.chunks[jobTxid];
+  }
+
+  function decode(txid, tx) {
+    const parsed = parseJob(tx);
+    if (parsed) {
+      const encrypted = !!parsed.encrypted;
+      const params = {};
+      for (const [k, v] of Object.entries(parsed.params || {})) {
+        if (!(encrypted && k === 'system')) params[k] = v.toString('utf8');
+      }
+      job(txid, {
+        seen: true,
+        prompt: encrypted || !parsed.prompt ? null : parsed.prompt.toString('utf8'),
+        encrypted,
+        version: parsed.version || null,
+        params,
+        malformed: parsed.error || null,
+        satsReceived: satsTo(tx, address),
+        sender: senderAddress(tx),
+      });
+    }
+
+    const tagged = TAGS.filter(tag => findPushes(tx, tag));
+    if (!tagged.length) return;
+    const from = senderAddress(tx);
+    if (from !== address) {
+      for (const tag of tagged) index.stray.push({ txid, tag, from });
+      return;
+    }
+
+    const res = parseRes(tx);
+    if (res) {
+      const j = index.jobs[res.jobTxid];
+      if (j && j.resTxid && j.resTxid !== txid) {
+        job(res.jobTxid, { extraResponses: [...(j.extraResponses || []), txid] });
+      } else {
+        job(res.jobTxid, {
+          resTxid: txid,
+          result: res.result,
+          encryptedResult: res.encrypted,
+          isHashed: !!res.hash,
+          resultHash: res.hash,
+          chunkCount: res.chunkCount,
+          nonce: res.params.nonce || null,
+          satsKept: satsTo(tx, address),
+        });
+        assemble(res.jobTxid);
+      }
+    }
+
+    const refund = parseRefund(tx);
+    if (refund) {
+      job(refund.jobTxid, { refundTxid: txid, rejected: refund.reason, satsKept: 0, satsRefunded: satsTo(tx, address, false) });
+    }
+
+    const chunk = parseChunk(tx);
+    if (chunk) {
+      index.chunks[chunk.jobTxid] = {
+        ...index.chunks[chunk.jobTxid],
+        [chunk.index]: { txid, hex: chunk.data.toString('hex'), keep: satsTo(tx, address) },
+      };
+      assemble(chunk.jobTxid);
+    }
+
+    for (const chat of parseChats(tx)) index.chats.push({ txid, ...chat });
+  }
+
+  // Fetches and decodes whatever is new in the history. Txs the provider
+  // can't serve yet are left for the next sync.
+  // → { scanned, pending, jobs, chats }
+  async function sync({ onProgress = null } = {}) {
+    const history = await chain.getHistory(address);
+    let scanned = 0;
+    let pending = 0;
+    for (const entry of history) {
+      const known = index.txs[entry.tx_hash];
+      if (known) {
+        if (entry.height > 0 && known.height !== entry.height) known.height = entry.height;
+        continue;
+      }
+      const tx = await chain.getTx(entry.tx_hash);
+      if (!tx) { pending++; continue; }
+      decode(entry.tx_hash, tx);
+      index.txs[entry.tx_hash] = { height: entry.height > 0 ? entry.height : 0, time: txTime(tx) };
+      scanned++;
+      if (scanned % 50 === 0) {
+        save();
+        if (onProgress) onProgress({ scanned, total: history.length });
+      }
+    }
+    save();
+    return { scanned, pending, jobs: jobs().length, chats: index.chats.length };
+  }
+
+  const timeOf = txid => (index.txs[txid] ? index.txs[txid].time : null);
+  const heightOf = txid => (index.txs[txid] ? index.txs[txid].height : 0);
+
+  // Jobs seen on-chain (not responses to jobs we never saw), oldest first
+  function jobs() {
+    return Object.values(index.jobs)
+      .filter(j => j.seen)
+      .map(j => ({ ...j, timestamp: timeOf(j.jobTxid) }))
+      .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  }
+
+  // In history order, and output order within a tx
+  function chats() {
+    return index.chats.map(c => ({ ...c, timestamp: timeOf(c.txid), height: heightOf(c.txid) }));
+  }
+
+  // Job store records for a lost journal: answered and refunded jobs as done,
+  // everything else in the history as skipped. Unanswered jobs are left out
+  // so the agent picks them up as new.
+  function toJobRecords() {
+    const records = [];
+    const done = new Set();
+    for (const j of jobs()) {
+      if (!j.resTxid && !j.refundTxid) continue;
+      const { seen, malformed, encryptedResult, chunkCount, extraResponses, resultVerified, ...fields } = j;
+      records.push({ ...fields, state: 'confirmed', restoredFromChain: true });
+      done.add(j.jobTxid);
+      for (const txid of [j.resTxid, j.refundTxid, ...(j.chunkTxids || [])]) if (txid) done.add(txid);
+    }
+    for (const txid of Object.keys(index.txs)) {
+      const j = index.jobs[txid];
+      if (done.has(txid) || (j && j.seen)) continue;
+      records.push({ jobTxid: txid, state: 'skipped', reason: 'restored from chain' });
+    }
+    return records;
+  }
+
+  function audit() {
+    const all = jobs();
+    const answered = all.filter(j => j.resTxid);
+    const refunded = all.filter(j => j.refundTxid && !j.resTxid);
+    const unanswered = all.filter(j => !j.resTxid && !j.refundTxid);
+    const blocks = answered
+      .filter(j => heightOf(j.jobTxid) && heightOf(j.resTxid))
+      .map(j => heightOf(j.resTxid) - heightOf(j.jobTxid));
+    return {
+      address,
+      indexedAt: index.updatedAt,
+      txs: Object.keys(index.txs).length,
+      jobs: all.length,
+      encrypted: all.filter(j => j.encrypted).length,
+      answered: answered.length,
+      refunded: refunded.length,
+      unanswered: unanswered.map(j => j.jobTxid),
+      satsReceived: all.reduce((s, j) => s + (j.satsReceived || 0), 0),
+      satsKept: all.reduce((s, j) => s + (j.satsKept || 0), 0),
+      satsRefunded: all.reduce((s, j) => s + (j.satsRefunded || 0), 0),
+      chunked: answered.filter(j => j.isHashed).length,
+      incompleteChunks: answered.filter(j => j.isHashed && !j.chunkTxids).map(j => j.jobTxid),
+      badChunks: answered.filter(j => j.resultVerified === false).map(j => j.jobTxid),
+      duplicateResponses: all.filter(j => j.extraResponses).map(j => j.jobTxid),
+      orphanResponses: Object.values(index.jobs).filter(j => !j.seen).map(j => j.resTxid || j.refundTxid),
+      stray: index.stray,
+      chats: index.chats.length,
+      chatTxs: new Set(index.chats.map(c => c.txid)).size,
+      responseBlocks: { median: median(blocks), max: blocks.length ? Math.max(...blocks) : null },
+    };
+  }
+
+  return { sync, jobs, chats, audit, toJobRecords, index: () => index };
+}
+
+module.exports = { createIndexer, loadIndex };
@@ -0,0 +1,172 @@
+'use strict';
+
+// Job store: an append-only log of JSON patches, one per line, each merged over
+// the previous ones for the same job. Replaying the log gives the latest state
+// of every job; indexes by job txid, response txid and sender are kept in
+// memory. Every append is one fsynced write, and a torn last line from a crash
+// is cut off on open. Compaction rewrites the log as one line per job into a
+// temp file and renames it over the old one, so there is never a moment where
+// history is only half on disk.
+//
+// Job states:
+//   seen → paid → thinking → built → broadcast → confirmed
+//                                  ↘ failed
+//   skipped   not a job (or not paying us)
+//   rejected  refused, and the payment was too small to refund
+
+const fs = require('fs');
+const path = require('path');
+
+const TERMINAL_STATES = new Set(['confirmed', 'failed', 'skipped', 'rejected']);
+const COMPACT_MIN_LINES = 1000;
+
+function openJobStore(file, { importFrom = null, readOnly = false } = {}) {
+  let jobs = new Map();              // jobTxid → job
+  let byResponse = new Map();        // res/refund/chunk txid → jobTxid
+  let bySender = new Map();          // address → Set of jobTxids
+  let offset = 0;                    // bytes of the log replayed so far
+  let ino = null;
+  let lines = 0;
+  let fd = null;
+
+  function index(job) {
+    for (const txid of [job.resTxid, job.refundTxid, ...(job.chunkTxids || []), ...(job.txs || []).map(t => t.txid)]) {
+      if (txid) byResponse.set(txid, job.jobTxid);
+    }
+    if (job.sender) {
+      if (!bySender.has(job.sender)) bySender.set(job.sender, new Set());
+      bySender.get(job.sender).add(job.jobTxid);
+    }
+  }
+
+  function apply(patch) {
+    const { jobTxid } = patch;
+    if (!jobTxid) return null;
+    const job = { ...jobs.get(jobTxid), ...patch };
+    jobs.set(jobTxid, job);
+    index(job);
+    lines++;
+    return job;
+  }
+
+  function replay(text) {
+    const end = text.lastIndexOf('\n') + 1;
+    for (const line of text.slice(0, end).split('\n')) {
+      if (!line.trim()) continue;
+      try { apply(JSON.parse(line)); } catch {}
+    }
+    return Buffer.byteLength(text.slice(0, end), 'utf8');
+  }
+
+  function load() {
+    jobs = new Map();
+    byResponse = new Map();
+    bySender = new Map();
+    lines = 0;
+    offset = 0;
+    ino = null;
+    if (!fs.existsSync(file)) return;
+    const text = fs.readFileSync(file, 'utf8');
+    offset = replay(text);
+    ino = fs.statSync(file).ino;
+    // Cut off a torn write so the next append starts on a fresh line
+    if (!readOnly && offset < Buffer.byteLength(text, 'utf8')) fs.truncateSync(file, offset);
+  }
+
+  function importLegacy() {
+    const legacy = JSON.parse(fs.readFileSync(importFrom, 'utf8'));
+    const patches = legacy.map(j => ({
+      ...j,
+      state: j.resTxid || j.refundTxid ? 'confirmed' : (j.rejected && !j.error ? 'rejected' : 'failed'),
+      imported: true,
+    }));
+    if (readOnly) { patches.forEach(apply); return; }
+    writeAtomically(patches);
+    load();
+  }
+
+  function writeAtomically(records) {
+    const tmp = `${file}.tmp`;
+    const tmpFd = fs.openSync(tmp, 'w');
+    fs.writeSync(tmpFd, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.fsyncSync(tmpFd);
+    fs.closeSync(tmpFd);
+    fs.renameSync(tmp, file);
+    try {
+      const dirFd = fs.openSync(path.dirname(file), 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch {}
+  }
+
+  function openForAppend() {
+    if (fd !== null) fs.closeSync(fd);
+    fd = fs.openSync(file, 'a');
+    ino = fs.fstatSync(fd).ino;
+    offset = fs.fstatSync(fd).size;
+  }
+
+  const created = !fs.existsSync(file);
+  load();
+  if (created && importFrom && fs.existsSync(importFrom)) importLegacy();
+  if (!readOnly) openForAppend();
+
+  const store = {
+    created,
+
+    get: jobTxid => jobs.get(jobTxid) || null,
+    has: jobTxid => jobs.has(jobTxid),
+    size: () => jobs.size,
+    all: () => [...jobs.values()],
+
+    // Everything that was actually a job, oldest first
+    jobs: () => [...jobs.values()].filter(j => j.state !== 'skipped'),
+    incomplete: () => [...jobs.values()].filter(j => !TERMINAL_STATES.has(j.state)),
+
+    byResponseTxid(txid) {
+      const jobTxid = byResponse.get(txid);
+      return jobTxid ? jobs.get(jobTxid) : null;
+    },
+
+    bySender(address) {
+      return [...(bySender.get(address) || [])].map(t => jobs.get(t));
+    },
+
+    update(jobTxid, fields) {
+      if (readOnly) throw new Error('Job store is read-only');
+      const patch = { jobTxid, ...fields, updatedAt: new Date().toISOString() };
+      const line = JSON.stringify(patch) + '\n';
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+      offset += Buffer.byteLength(line, 'utf8');
+      const job = apply(patch);
+      if (lines > COMPACT_MIN_LINES && lines > 2 * jobs.size) store.compact();
+      return job;
+    },
+
+    compact() {
+      if (readOnly) throw new Error('Job store is read-only');
+      writeAtomically([...jobs.values()]);
+      lines = jobs.size;
+      openForAppend();
+    },
+
+    // Readers: pick up what other processes appended since the last call.
+    // After a compaction (new inode, or the file shrank) reload from scratch.
+    refresh() {
+      if (!fs.existsSync(file)) return;
+      const stat = fs.statSync(file);
+      if (stat.ino !== ino || stat.size < offset) { load(); return; }
+      if (stat.size === offset) return;
+      const readFd = fs.openSync(file, 'r');
+      const buf = Buffer.alloc(stat.size - offset);
+      fs.readSync(readFd, buf, 0, buf.length, offset);
+      fs.closeSync(readFd);
+      offset += replay(buf.toString('utf8'));
+    },
+  };
+
+  return store;
+}
+
+module.exports = { openJobStore, TERMINAL_STATES };
@@ -0,0 +1,253 @@
+'use strict';
+
+// Wallet files with the private key encrypted at rest.
+//
+// A wallet file is JSON. Plaintext wallets (the original format) hold the WIF
+// as is; encrypted ones keep the address and public key in the clear, so
+// the viewer and the indexer never need the passphrase, and the key in a
+// keystore block:
+//
+//   { address, publicKey, createdAt,
+//     keystore: { version: 1, kdf: 'scrypt', n, r, p, salt,
+//                 cipher: 'aes-256-gcm', iv, tag, ciphertext } }      (hex)
+//
+// The key is derived from the passphrase with scrypt. The ciphertext is the
+// WIF, and the address is authenticated alongside it, so a file with the
+// address swapped for another one fails to unlock.
+//
+// The passphrase comes from WALLET_PASSPHRASE, else from the file named by
+// WALLET_PASSPHRASE_FILE, else from a prompt when there's a terminal. With
+// NODE_ENV=production or WALLET_REQUIRE_ENCRYPTED=1, plaintext wallets are
+// refused. Existing ones are migrated with:
+//
+//   node lib/keystore.cjs encrypt [wallet.json]
+//   node lib/keystore.cjs passwd  [wallet.json]
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT = { n: 2 ** 15, r: 8, p: 1 };
+const KEY_BYTES = 32;
+
+let bsvLib;
+function bsv() {
+  if (!bsvLib) bsvLib = require('scrypt-ts').bsv;
+  return bsvLib;
+}
+
+function isEncrypted(wallet) {
+  return !!(wallet && wallet.keystore);
+}
+
+function requireEncrypted(env = process.env) {
+  return env.WALLET_REQUIRE_ENCRYPTED === '1' || env.NODE_ENV === 'production';
+}
+
+// --- Encryption ---
+function deriveKey(passphrase, salt, { n, r, p }) {
+  return crypto.scryptSync(passphrase.normalize('NFKC'), salt, KEY_BYTES, { N: n, r, p, maxmem: 256 * n * r });
+}
+
+function encryptWallet(wallet, passphrase) {
+  if (!passphrase) throw new Error('Empty passphrase');
+  const key = bsv().PrivateKey.fromWIF(wallet.wif);
+  const address = key.toAddress().toString();
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+  cipher.setAAD(Buffer.from(address, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(wallet.wif, 'utf8'), cipher.final()]);
+  const { wif, keystore, ...rest } = wallet;
+  return {
+    ...rest,
+    address,
+    publicKey: key.toPublicKey().toString(),
+    keystore: {
+      version: KEYSTORE_VERSION,
+      kdf: 'scrypt',
+      ...SCRYPT,
+      salt: salt.toString('hex'),
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+// → the wallet with its wif; throws on a wrong passphrase or a tampered file
+function decryptWallet(wallet, passphrase) {
+  const ks = wallet.keystore;
+  if (ks.version !== KEYSTORE_VERSION || ks.kdf !== 'scrypt' || ks.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore (version ${ks.version}, ${ks.kdf}, ${ks.cipher})`);
+  }
+  let wif;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(ks.salt, 'hex'), ks), Buffer.from(ks.iv, 'hex'));
+    decipher.setAAD(Buffer.from(wallet.address, 'utf8'));
+    decipher.setAuthTag(Buffer.from(ks.tag, 'hex'));
+    wif = Buffer.concat([decipher.update(Buffer.from(ks.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Wrong passphrase, or the wallet file was altered');
+  }
+  if (bsv().PrivateKey.fromWIF(wif).toAddress().toString() !== wallet.address) {
+    throw new Error('Wallet key does not match its address');
+  }
+  const { keystore, ...rest } = wallet;
+  return { ...rest, wif };
+}
+
+// --- Passphrase ---
+// Reads a line from the terminal without echoing it
+function promptHidden(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    let input = '';
+    const done = err => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      process.stderr.write('\n');
+      if (err) reject(err); else resolve(input);
+    };
+    const onData = chunk => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n' || ch === '\u0004') return done();
+        if (ch === '\u0003') return done(new Error('Cancelled'));
+        if (ch === '\u007f' || ch === '\b') input = input.slice(0, -1);
+        else input += ch;
+      }
+    };
+    process.stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+const canPrompt = () => !!(process.stdin.isTTY && process.stderr.isTTY);
+
+// The passphrase from the environment, or null
+function configuredPassphrase(env = process.env) {
+  if (env.WALLET_PASSPHRASE) return env.WALLET_PASSPHRASE;
+  if (env.WALLET_PASSPHRASE_FILE) {
+    const passphrase = fs.readFileSync(env.WALLET_PASSPHRASE_FILE, 'utf8').replace(/\r?\n$/, '');
+    if (!passphrase) throw new Error(`${env.WALLET_PASSPHRASE_FILE} is empty`);
+    return passphrase;
+  }
+  return null;
+}
+
+async function askPassphrase(file, { confirm = false, env = process.env } = {}) {
+  const configured = configuredPassphrase(env);
+  if (configured) return configured;
+  if (!canPrompt()) {
+    throw new Error(`No passphrase for ${path.basename(file)} — set WALLET_PASSPHRASE or WALLET_PASSPHRASE_FILE, or run in a terminal`);
+  }
+  const passphrase = await promptHidden(`🔑 Passphrase for ${path.basename(file)}: `);
+  if (!passphrase) throw new Error('Empty passphrase');
+  if (confirm && await promptHidden('   Again: ') !== passphrase) throw new Error('Passphrases do not match');
+  return passphrase;
+}
+
+async function newPassphrase() {
+  if (!canPrompt()) throw new Error('A new passphrase needs a terminal');
+  const passphrase = await promptHidden('🔑 New passphrase: ');
+  if (!passphrase) throw new Error('Empty passphrase');
+  if (await promptHidden('   Again: ') !== passphrase) throw new Error('Passphrases do not match');
+  return passphrase;
+}
+
+// --- Wallet files ---
+function readWalletFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeWalletFile(file, wallet) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(wallet, null, 2), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function refusePlaintext(file, wallet, env = process.env) {
+  if (wallet && !isEncrypted(wallet) && requireEncrypted(env)) {
+    throw new Error(`${path.basename(file)} holds a plaintext key — encrypt it with: node lib/keystore.cjs encrypt ${file}`);
+  }
+}
+
+// What anyone may know about a wallet, without unlocking it. Refuses
+// plaintext wallets like unlockWallet does, so no process starts on one.
+// → { address, publicKey, encrypted } or null
+function walletInfo(file, { env = process.env } = {}) {
+  const wallet = readWalletFile(file);
+  if (!wallet) return null;
+  refusePlaintext(file, wallet, env);
+  return {
+    address: wallet.address,
+    publicKey: wallet.publicKey || (wallet.wif ? bsv().PrivateKey.fromWIF(wallet.wif).toPublicKey().toString() : null),
+    encrypted: isEncrypted(wallet),
+  };
+}
+
+// The wallet with its wif, asking for the passphrase if it's encrypted.
+// null when there's no wallet file.
+async function unlockWallet(file, { env = process.env } = {}) {
+  const wallet = readWalletFile(file);
+  if (!wallet) return null;
+  refusePlaintext(file, wallet, env);
+  if (!isEncrypted(wallet)) return wallet;
+  return decryptWallet(wallet, await askPassphrase(file, { env }));
+}
+
+// A new wallet is encrypted when a passphrase is configured; without one it
+// is written in plaintext, which production refuses
+function createWallet(file, { env = process.env } = {}) {
+  const key = new (bsv().PrivateKey)();
+  const wallet = { wif: key.toWIF(), address: key.toAddress().toString(), createdAt: new Date().toISOString() };
+  const passphrase = configuredPassphrase(env);
+  if (!passphrase && requireEncrypted(env)) {
+    throw new Error(`No ${path.basename(file)} yet — set WALLET_PASSPHRASE or WALLET_PASSPHRASE_FILE to create it encrypted`);
+  }
+  writeWalletFile(file, passphrase ? encryptWallet(wallet, passphrase) : wallet);
+  return wallet;
+}
+
+// --- CLI ---
+// encrypt: plaintext → keystore. passwd: new passphrase for a keystore.
+// Both check the result unlocks before replacing the file.
+async function migrate(cmd, file) {
+  const wallet = readWalletFile(file);
+  if (!wallet) throw new Error(`No wallet at ${file}`);
+  let plain;
+  if (cmd === 'encrypt') {
+    if (isEncrypted(wallet)) throw new Error(`${file} is already encrypted — use passwd to change its passphrase`);
+    plain = wallet;
+  } else {
+    if (!isEncrypted(wallet)) throw new Error(`${file} is not encrypted — use encrypt`);
+    plain = decryptWallet(wallet, await askPassphrase(file));
+  }
+  // passwd always asks for the new one: the environment holds the old
+  const passphrase = cmd === 'encrypt' ? await askPassphrase(file, { confirm: true }) : await newPassphrase();
+  const encrypted = encryptWallet(plain, passphrase);
+  decryptWallet(encrypted, passphrase);
+  writeWalletFile(file, encrypted);
+  console.log(`🔐 ${file} encrypted for ${encrypted.address}`);
+  if (cmd === 'encrypt') console.log('   The plaintext key may still be in backups or old copies of this file — move the funds if those are not safe');
+}
+
+if (require.main === module) {
+  const [cmd, file = path.join(__dirname, '..', 'wallet.json')] = process.argv.slice(2);
+  if (cmd !== 'encrypt' && cmd !== 'passwd') {
+    console.log('Usage: node lib/keystore.cjs encrypt|passwd [wallet.json]');
+    process.exit(1);
+  }
+  migrate(cmd, path.resolve(file)).catch(err => { console.error('❌', err.message); process.exit(1); });
+}
+
+module.exports = {
+  isEncrypted, requireEncrypted, encryptWallet, decryptWallet,
+  walletInfo, unlockWallet, createWallet, refusePlaintext,
+};
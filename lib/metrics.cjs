@@ -0,0 +1,158 @@
+'use strict';
+
+// Counters, gauges and histograms in the Prometheus model, shared between
+// processes through snapshot files.
+//
+// agent.cjs and web.cjs each keep a registry and write it to
+// metrics/<source>.json every few seconds. viewer.cjs reads all of them and
+// serves one /metrics page in the OpenMetrics text format, every series
+// labelled with the source it came from. A registry starts from its last
+// snapshot, so restarting a process doesn't reset its counters.
+//
+//   { source, updatedAt, metrics: { name: { type, help, buckets?,
+//       series: { '<labels as JSON>': value | { buckets: [...], sum, count } } } } }
+//
+// Counter names leave off _total; it's added on the way out.
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const SNAPSHOT_INTERVAL = 5000;
+const DEFAULT_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const labelKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function createMetrics({ source, dir }) {
+  const file = path.join(dir, `${source}.json`);
+  let metrics = {};
+  try { metrics = JSON.parse(fs.readFileSync(file, 'utf8')).metrics || {}; } catch {}
+
+  // Counters and histograms carry on from the saved series, as long as their
+  // shape still matches; gauges start empty
+  function family(name, type, help, extra = {}) {
+    const saved = metrics[name];
+    const keep = saved && type !== 'gauge' && saved.type === type && JSON.stringify(saved.buckets) === JSON.stringify(extra.buckets);
+    metrics[name] = { type, help, ...extra, series: keep ? saved.series : {} };
+    return metrics[name].series;
+  }
+
+  function counter(name, help) {
+    const series = family(name, 'counter', help);
+    return {
+      inc(labels = {}, n = 1) {
+        const k = labelKey(labels);
+        series[k] = (series[k] || 0) + n;
+      },
+    };
+  }
+
+  function gauge(name, help) {
+    const series = family(name, 'gauge', help);
+    return {
+      set(labels, value) {
+        series[labelKey(labels)] = value;
+      },
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const series = family(name, 'histogram', help, { buckets });
+    return {
+      observe(labels, value) {
+        const k = labelKey(labels);
+        const h = series[k] || (series[k] = { buckets: buckets.map(() => 0), sum: 0, count: 0 });
+        buckets.forEach((le, i) => { if (value <= le) h.buckets[i]++; });
+        h.sum += value;
+        h.count++;
+      },
+    };
+  }
+
+  // Written even when nothing changed: the snapshot's age tells whether the
+  // process is still alive
+  function save() {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ source, updatedAt: new Date().toISOString(), metrics }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function start() {
+    const tick = () => {
+      try { save(); } catch (err) { console.error(`⚠️  Metrics snapshot failed: ${err.message}`); }
+    };
+    tick();
+    setInterval(tick, SNAPSHOT_INTERVAL).unref();
+  }
+
+  return { counter, gauge, histogram, save, start };
+}
+
+// Every snapshot in dir → [{ source, updatedAt, metrics }]
+function readSnapshots(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => { try { return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')); } catch { return null; } })
+    .filter(s => s && s.source && s.metrics);
+}
+
+// --- OpenMetrics text ---
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+
+// Snapshots plus families made up on the spot (same shape as a snapshot's
+// metrics, with extra labels per series) → exposition text
+function renderOpenMetrics(snapshots, extra = {}) {
+  const families = new Map();
+  const add = (name, def, labels, value) => {
+    if (!families.has(name)) families.set(name, { ...def, samples: [] });
+    const fam = families.get(name);
+    // Same name, different shape: the first one seen wins
+    if (fam.type === def.type && JSON.stringify(fam.buckets) === JSON.stringify(def.buckets)) fam.samples.push({ labels, value });
+  };
+  for (const snap of snapshots) {
+    for (const [name, def] of Object.entries(snap.metrics)) {
+      for (const [k, value] of Object.entries(def.series)) {
+        add(name, def, { ...Object.fromEntries(JSON.parse(k)), source: snap.source }, value);
+      }
+    }
+  }
+  for (const [name, def] of Object.entries(extra)) {
+    for (const { labels, value } of def.series) add(name, def, labels, value);
+  }
+
+  const lines = [];
+  for (const [name, fam] of [...families].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`# TYPE ${name} ${fam.type}`);
+    lines.push(`# HELP ${name} ${fam.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    for (const { labels, value } of fam.samples) {
+      if (fam.type === 'counter') {
+        lines.push(`${name}_total${formatLabels(labels)} ${formatValue(value)}`);
+      } else if (fam.type === 'histogram') {
+        fam.buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${value.buckets[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+      } else {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+    }
+  }
+  lines.push('# EOF');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { createMetrics, readSnapshots, renderOpenMetrics, CONTENT_TYPE };
@@ -0,0 +1,81 @@
+'use strict';
+
+// Which Ollama models the agent runs, and what each costs.
+//
+// models.json (or MODELS_PATH) lists the allowed models as price tiers:
+//
+//   {
+//     "default": "qwen3:8b",
+//     "models": [
+//       { "name": "qwen3:1.7b", "minSats": 0,    "pricing": { "base": 500 } },
+//       { "name": "qwen3:8b",   "minSats": 2000 },
+//       { "name": "qwen3:32b",  "minSats": 20000, "pricing": { "perOutputToken": 4 }, "contextTokens": 16384 }
+//     ]
+//   }
+//
+// A job that names a model gets that model (if it's listed and the payment
+// reaches its minSats; otherwise it's refunded). Without one the payment
+// picks it: the tier with the highest minSats the payment reaches.
+// Pricing fields not given for a model fall back to the PRICE_* env vars.
+// contextTokens is the context window the model is run with (num_ctx), and
+// defaults to CONTEXT_TOKENS. Without a config file there is a single tier:
+// MODEL at the env pricing.
+
+const fs = require('fs');
+const path = require('path');
+const { loadPricing, describePricing } = require('./pricing.cjs');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'models.json');
+
+function loadModels({ file = process.env.MODELS_PATH || DEFAULT_PATH, env = process.env } = {}) {
+  const base = loadPricing(env);
+  const fallback = env.MODEL || 'qwen3:8b';
+  const contextTokens = parseInt(env.CONTEXT_TOKENS || '8192');
+
+  if (!fs.existsSync(file)) {
+    return { file: null, default: fallback, models: [{ name: fallback, minSats: 0, pricing: base, contextTokens }] };
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(raw.models) || !raw.models.length) throw new Error(`${file}: "models" must be a non-empty list`);
+  const models = raw.models.map(m => {
+    if (!m || typeof m.name !== 'string' || !m.name) throw new Error(`${file}: every model needs a "name"`);
+    const pricing = { ...base };
+    for (const [k, v] of Object.entries(m.pricing || {})) {
+      if (!(k in base)) throw new Error(`${file}: unknown pricing field ${k} for ${m.name}`);
+      if (!Number.isInteger(v) || v < 0) throw new Error(`${file}: ${m.name} ${k} must be a whole number ≥ 0`);
+      pricing[k] = v;
+    }
+    if (m.contextTokens !== undefined && !(Number.isInteger(m.contextTokens) && m.contextTokens > 0)) {
+      throw new Error(`${file}: ${m.name} contextTokens must be a whole number > 0`);
+    }
+    return { name: m.name, minSats: parseInt(m.minSats) || 0, pricing, contextTokens: m.contextTokens || contextTokens };
+  }).sort((a, b) => a.minSats - b.minSats);
+
+  const def = raw.default || models[0].name;
+  if (!models.some(m => m.name === def)) throw new Error(`${file}: default model ${def} is not in "models"`);
+  return { file, default: def, models };
+}
+
+function findModel(config, name) {
+  return config.models.find(m => m.name === name) || null;
+}
+
+// → { model } or { error }
+function routeJob(config, { requested = null, satsReceived = 0 } = {}) {
+  if (requested) {
+    const model = findModel(config, requested);
+    if (!model) return { error: `unsupported model ${requested.slice(0, 40)}` };
+    if (satsReceived < model.minSats) return { error: `${model.name} needs at least ${model.minSats} sats` };
+    return { model };
+  }
+  // Below every tier still gets the cheapest one, whose quote then refunds it
+  const reached = config.models.filter(m => satsReceived >= m.minSats);
+  return { model: reached.length ? reached[reached.length - 1] : config.models[0] };
+}
+
+function describeModels(config) {
+  return config.models.map(m => `${m.name} (from ${m.minSats} sats): ${describePricing(m.pricing)}`);
+}
+
+module.exports = { loadModels, findModel, routeJob, describeModels };
@@ -0,0 +1,199 @@
+'use strict';
+
+// Background posting of web chats. The reply goes back to the user as soon
+// as the LLM is done; its CHAT tx is queued here, broadcast, retried with
+// backoff and watched until it confirms. The queue is kept in posts.json so a
+// restart carries on where it left off.
+//
+// Post states:
+//   queued → broadcast → confirmed
+//          ↘ failed    gave up after MAX_POST_ATTEMPTS
+//
+// Posts go out in batches: one tx with a CHAT output per post, the post's
+// place in the batch being its output index (vout). With a batch window,
+// posts wait up to that long for company, and a batch closes early at
+// batchMax posts or batchBytes of data. Without one every post is a batch of
+// its own, sent right away.
+//
+// Signing is the caller's: prepare(batch, posts) reserves coins and returns
+// { txid, hex, fee }. The same hex is rebroadcast on every retry, so a tx that
+// went out despite an error isn't posted twice; only if its inputs are gone
+// is it dropped (abandon) and built afresh. sent(batch) runs once it's out;
+// onBroadcastError(err) hears about every broadcast the network refused.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { isAlreadyKnown } = require('./chain.cjs');
+
+const MAX_POST_ATTEMPTS = parseInt(process.env.MAX_POST_ATTEMPTS || '6');
+const POST_RETRY_BASE = parseInt(process.env.POST_RETRY_BASE || '5000'); // ms, doubles per attempt
+const POST_RETRY_MAX = 5 * 60 * 1000;
+const CONFIRM_INTERVAL = 60 * 1000;
+const KEEP_FINISHED = 24 * 3600 * 1000;
+const TICK = 2000;
+
+const TERMINAL = new Set(['confirmed', 'failed']);
+
+function retryDelay(attempts) {
+  return Math.min(POST_RETRY_MAX, POST_RETRY_BASE * 2 ** (attempts - 1));
+}
+
+// The tx can never go through as built
+function isInputsGone(err) {
+  return /missing inputs|mempool-conflict|already spent|double spend|bad-txns-inputs/i.test(err.message);
+}
+
+const postBytes = p => Buffer.byteLength(p.prompt || '', 'utf8') + Buffer.byteLength(p.result || '', 'utf8');
+
+function createPostQueue({
+  file, chain, prepare, sent, abandon, onChange = () => {}, onBroadcastError = () => {}, log = console.log,
+  batchWindow = 0, batchMax = 1, batchBytes = Infinity,
+}) {
+  let posts = {};     // post id → { id, state, batch, txid, vout, ... }
+  let batches = {};   // batch id → { id, posts: [post ids], state, txid, hex, fee, attempts, ... }
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    posts = saved.posts || {};
+    batches = saved.batches || {};
+  } catch {}
+  let busy = false;
+
+  function save() {
+    const now = Date.now();
+    for (const [id, b] of Object.entries(batches)) {
+      if (!TERMINAL.has(b.state) || now - Date.parse(b.updatedAt) <= KEEP_FINISHED) continue;
+      for (const p of b.posts) delete posts[p];
+      delete batches[id];
+    }
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ posts, batches }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Changes a batch, and carries its state over to its posts
+  function updateBatch(id, fields, postFields = () => ({})) {
+    const now = new Date().toISOString();
+    const batch = batches[id] = { ...batches[id], ...fields, updatedAt: now };
+    batch.posts.forEach((pid, vout) => {
+      posts[pid] = {
+        ...posts[pid], state: batch.state, attempts: batch.attempts, error: batch.error || null,
+        nextAttemptAt: batch.nextAttemptAt || null, ...postFields(vout), updatedAt: now,
+      };
+    });
+    save();
+    for (const pid of batch.posts) onChange(posts[pid]);
+    return batch;
+  }
+
+  function postsOf(batch) {
+    return batch.posts.map(id => posts[id]);
+  }
+
+  // Gathers waiting posts into batches once they're due
+  function formBatches(now) {
+    const waiting = Object.values(posts)
+      .filter(p => p.state === 'queued' && !p.batch)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    while (waiting.length) {
+      const group = [];
+      let bytes = 0;
+      while (waiting.length && group.length < batchMax && (!group.length || bytes + postBytes(waiting[0]) <= batchBytes)) {
+        bytes += postBytes(waiting[0]);
+        group.push(waiting.shift());
+      }
+      const full = group.length >= batchMax || waiting.length > 0;
+      if (!full && now - Date.parse(group[0].createdAt) < batchWindow) return;
+      const id = crypto.randomBytes(6).toString('hex');
+      for (const p of group) posts[p.id].batch = id;
+      batches[id] = { id, posts: group.map(p => p.id), state: 'queued', attempts: 0, createdAt: new Date(now).toISOString() };
+      save();
+      if (group.length > 1) log(`   📦 Batch ${id}: ${group.length} chats`);
+    }
+  }
+
+  async function retry(batch, err) {
+    const attempts = (batch.attempts || 0) + 1;
+    log(`   ❌ Batch ${batch.id} failed (attempt ${attempts}/${MAX_POST_ATTEMPTS}): ${err.message}`);
+    const drop = batch.hex && (attempts >= MAX_POST_ATTEMPTS || isInputsGone(err));
+    if (drop) await abandon(batch);
+    const fields = { attempts, error: err.message, ...(drop ? { hex: null, txid: null, fee: null } : {}) };
+    if (attempts >= MAX_POST_ATTEMPTS) return updateBatch(batch.id, { ...fields, state: 'failed', nextAttemptAt: null });
+    return updateBatch(batch.id, { ...fields, nextAttemptAt: Date.now() + retryDelay(attempts) });
+  }
+
+  async function attempt(batch) {
+    if (!batch.hex) {
+      try {
+        const { txid, hex, fee } = await prepare(batch, postsOf(batch));
+        batch = updateBatch(batch.id, { txid, hex, fee });
+      } catch (err) {
+        return retry(batch, err);
+      }
+    }
+    try {
+      await chain.broadcast(batch.hex);
+    } catch (err) {
+      if (!isAlreadyKnown(err)) {
+        onBroadcastError(err);
+        return retry(batch, err);
+      }
+    }
+    await sent(batch);
+    log(`   ⛓  Batch ${batch.id}: ${batch.txid} (${batch.posts.length} chat(s), ${batch.fee} sats)`);
+    return updateBatch(batch.id, {
+      state: 'broadcast', hex: null, error: null, nextAttemptAt: null, checkAt: Date.now() + CONFIRM_INTERVAL,
+    }, vout => ({ txid: batch.txid, vout }));
+  }
+
+  async function checkConfirmed(batch) {
+    const tx = await chain.getTx(batch.txid).catch(() => null);
+    if (tx && tx.confirmations > 0) return updateBatch(batch.id, { state: 'confirmed', checkAt: null });
+    batches[batch.id].checkAt = Date.now() + CONFIRM_INTERVAL;
+    save();
+    return batch;
+  }
+
+  // Everything that's due, oldest first, one at a time
+  async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+      const now = Date.now();
+      formBatches(now);
+      const due = Object.values(batches)
+        .filter(b => (b.state === 'queued' && (b.nextAttemptAt || 0) <= now) || (b.state === 'broadcast' && b.checkAt <= now))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      for (const b of due) {
+        if (b.state === 'queued') await attempt(b);
+        else await checkConfirmed(b);
+      }
+    } catch (err) {
+      log(`   ⚠️  Post queue: ${err.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  // post: { id, prompt, result, ...whatever prepare and onChange need }
+  function push(post) {
+    posts[post.id] = { ...post, state: 'queued', batch: null, attempts: 0, createdAt: new Date().toISOString() };
+    save();
+    onChange(posts[post.id]);
+    setImmediate(tick);
+    return posts[post.id];
+  }
+
+  function start() {
+    setInterval(tick, batchWindow ? Math.min(TICK, batchWindow) : TICK);
+    tick();
+  }
+
+  function stats() {
+    const counts = { queued: 0, broadcast: 0, confirmed: 0, failed: 0 };
+    for (const p of Object.values(posts)) counts[p.state]++;
+    return counts;
+  }
+
+  return { push, get: id => posts[id] || null, start, stats };
+}
+
+module.exports = { createPostQueue, MAX_POST_ATTEMPTS };
@@ -0,0 +1,54 @@
+'use strict';
+
+// Job pricing. A job costs a base price plus a per-byte rate on the prompt,
+// and must also cover at least MIN_OUTPUT_TOKENS of output. Whatever is paid
+// beyond that buys more output tokens, up to MAX_OUTPUT_TOKENS.
+//
+// Given a fee rate, the miner fee for putting the answer on-chain is priced in
+// too (BYTES_PER_TOKEN of OP_RETURN per token, plus the minimum fee), so a
+// long answer never costs more to deliver than was paid.
+
+const BYTES_PER_TOKEN = 4;
+
+function int(value, fallback) {
+  const n = parseInt(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function loadPricing(env = process.env) {
+  return {
+    base: int(env.PRICE_BASE, 1000),
+    perPromptByte: int(env.PRICE_PER_PROMPT_BYTE, 1),
+    perOutputToken: int(env.PRICE_PER_OUTPUT_TOKEN, 1),
+    minOutputTokens: int(env.MIN_OUTPUT_TOKENS, 256),
+    maxOutputTokens: int(env.MAX_OUTPUT_TOKENS, 4096),
+  };
+}
+
+function perToken(policy, feeRate) {
+  return policy.perOutputToken + feeRate * BYTES_PER_TOKEN;
+}
+
+function minimumPrice(policy, promptBytes, { feeRate = 0, minFee = 0 } = {}) {
+  return Math.ceil(policy.base + minFee + promptBytes * policy.perPromptByte +
+    policy.minOutputTokens * perToken(policy, feeRate));
+}
+
+// → { ok: true, price, maxTokens } or { ok: false, price, reason }
+function quote(policy, { promptBytes, satsReceived, feeRate = 0, minFee = 0 }) {
+  const price = minimumPrice(policy, promptBytes, { feeRate, minFee });
+  if (satsReceived < price) {
+    return { ok: false, price, reason: `underpaid: need ${price} sats, got ${satsReceived}` };
+  }
+  const forOutput = satsReceived - policy.base - minFee - promptBytes * policy.perPromptByte;
+  const rate = perToken(policy, feeRate);
+  const affordable = rate > 0 ? Math.floor(forOutput / rate) : Infinity;
+  return { ok: true, price, maxTokens: Math.min(policy.maxOutputTokens, affordable) };
+}
+
+function describePricing(policy) {
+  return `${policy.base} sats + ${policy.perPromptByte}/prompt byte + ${policy.perOutputToken}/output token ` +
+    `(min ${policy.minOutputTokens}, max ${policy.maxOutputTokens} tokens)`;
+}
+
+module.exports = { loadPricing, minimumPrice, quote, describePricing };
@@ -0,0 +1,523 @@
+'use strict';
+
+// On-chain message formats, each in an OP_FALSE OP_RETURN output:
+//
+//   JOB   <prompt>
+//   JOB   v1 <prompt> [<key> <value>]...
+//   EJOB  same as JOB, with the prompt (and system param) ECIES-encrypted
+//         to the agent's public key
+//   RES   <job txid, little-endian> <result> [<key> <value>]...
+//   RES   <job txid, little-endian> HASH:<sha256 hex> chunks <n> [<key> <value>]...
+//   ERES  same as RES, with the result ECIES-encrypted to the requester
+//   CHUNK <job txid, little-endian> <index> <bytes>
+//   REFUND <job txid, little-endian> <reason>
+//   CHAT  <prompt> <reply> [sig <signature>]
+//
+// Results over MAX_RESULT_BYTES don't fit in the RES tx. The RES then commits
+// to the sha256 of the full result and the number of chunks, and follow-up
+// CHUNK txs carry the bytes in order. Jobs the agent won't run get their
+// payment sent back to the job's first input address in a REFUND tx.
+//
+// CHAT records the web UI's free chats. They may be batched: one tx with a
+// CHAT output per exchange, so an exchange is identified by txid and output
+// index. Every other format is one output per tx.
+//
+// Responses and chats are signed by the agent, AIP-style: a `sig` pair holds a
+// Bitcoin Signed Message signature by the agent's address over
+//
+//   RES  <job txid> <sha256 of the result>      (ERES for ERES)
+//   CHAT <sha256 of the prompt> <sha256 of the reply>
+//
+// hashes in hex. For RES/ERES the hash covers the result bytes exactly as
+// delivered — the ciphertext of an ERES, all chunks of a chunked result — so
+// anyone can check the answer belongs to the job without the agent's help.
+//
+// Encryption is Electrum-style ECIES (BIE1) with a fresh ephemeral key. The
+// requester's public key is the one that signed the EJOB tx's first input.
+// For chunked ERES results, the hash and the chunks cover the ciphertext.
+//
+// v1 job parameters (all optional): model, max_tokens, temperature, system,
+// format (text | json), reply_to (refund address) and nonce, which the RES
+// echoes back so clients can match answers to requests.
+
+const crypto = require('crypto');
+
+const JOB_VERSION = 'v1';
+const JOB_PARAMS = ['model', 'max_tokens', 'temperature', 'system', 'format', 'reply_to', 'nonce'];
+const MAX_RESULT_BYTES = 50000;
+const CHUNK_BYTES = 50000;
+
+let bsvLib;
+function bsv() {
+  if (!bsvLib) bsvLib = require('scrypt-ts').bsv;
+  return bsvLib;
+}
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+// --- Push encoding ---
+function txidPush(txid) {
+  return Buffer.from(txid, 'hex').reverse();
+}
+
+function readTxidPush(buf) {
+  return Buffer.from(buf).reverse().toString('hex');
+}
+
+function buildOpReturn(pushes) {
+  const B = bsv();
+  const script = new B.Script();
+  script.add(B.Opcode.OP_FALSE);
+  script.add(B.Opcode.OP_RETURN);
+  for (const push of pushes) script.add(Buffer.isBuffer(push) ? push : Buffer.from(String(push), 'utf8'));
+  return script;
+}
+
+// Pushes of every OP_RETURN output in a WhatsOnChain-shaped tx
+function opReturnPushes(tx) {
+  const all = [];
+  for (const vout of (tx.vout || [])) {
+    if (!vout.scriptPubKey || vout.scriptPubKey.type !== 'nulldata') continue;
+    try {
+      const script = bsv().Script.fromHex(vout.scriptPubKey.hex);
+      const pushes = [];
+      for (const chunk of script.chunks) {
+        if (chunk.buf) pushes.push(chunk.buf);
+      }
+      all.push(pushes);
+    } catch {}
+  }
+  return all;
+}
+
+function findPushes(tx, tag) {
+  return opReturnPushes(tx).find(p => p.length && p[0].toString('utf8') === tag) || null;
+}
+
+function isJobTx(tx) {
+  return !!(findPushes(tx, 'JOB') || findPushes(tx, 'EJOB'));
+}
+
+// --- Signatures ---
+function responseMessage(tag, jobTxid, hash) {
+  return `${tag} ${jobTxid} ${hash}`;
+}
+
+function chatMessage(prompt, reply) {
+  return `CHAT ${sha256(Buffer.from(prompt, 'utf8'))} ${sha256(Buffer.from(reply, 'utf8'))}`;
+}
+
+// Bitcoin Signed Message, base64
+function signMessage(privKey, message) {
+  return new (bsv().Message)(message).sign(privKey);
+}
+
+// Malformed signatures are just invalid
+function verifyMessage(message, address, signature) {
+  try {
+    return bsv().Message.verify(message, address, signature);
+  } catch {
+    return false;
+  }
+}
+
+// --- Encryption ---
+function encryptFor(pubKey, text) {
+  return new (bsv().ECIES)().publicKey(pubKey).encrypt(Buffer.from(text, 'utf8'));
+}
+
+// Throws if the ciphertext isn't for this key or was tampered with
+function decryptWith(privKey, buf) {
+  return new (bsv().ECIES)().privateKey(privKey).decrypt(Buffer.from(buf)).toString('utf8');
+}
+
+// Public key from a P2PKH scriptSig (<sig> <pubkey>) on the tx's first input
+function senderPublicKey(tx) {
+  const vin = (tx.vin || [])[0];
+  if (!vin || !vin.scriptSig || !vin.scriptSig.hex) return null;
+  try {
+    const B = bsv();
+    const chunks = B.Script.fromHex(vin.scriptSig.hex).chunks;
+    if (chunks.length !== 2 || !chunks[1].buf) return null;
+    return B.PublicKey.fromBuffer(chunks[1].buf);
+  } catch {
+    return null;
+  }
+}
+
+function senderAddress(tx) {
+  const pubKey = senderPublicKey(tx);
+  return pubKey ? pubKey.toAddress().toString() : null;
+}
+
+// --- JOB ---
+// Jobs without parameters use the original two-push form, so older agents
+// still understand them
+function buildJobPushes(prompt, params = {}, { encryptTo = null } = {}) {
+  const seal = text => (encryptTo ? encryptFor(encryptTo, text) : text);
+  const tag = encryptTo ? 'EJOB' : 'JOB';
+  const pairs = Object.entries(params).filter(([, v]) => v !== undefined && v !== null);
+  if (!pairs.length) return [tag, seal(prompt)];
+  const pushes = [tag, JOB_VERSION, seal(prompt)];
+  for (const [k, v] of pairs) pushes.push(k, k === 'system' ? seal(String(v)) : String(v));
+  return pushes;
+}
+
+// → null (not a job), { encrypted, version, prompt, params } with raw Buffers
+// for the agent to decrypt and check, or { encrypted, error }
+function parseJob(tx) {
+  const encrypted = !findPushes(tx, 'JOB') && !!findPushes(tx, 'EJOB');
+  const pushes = findPushes(tx, encrypted ? 'EJOB' : 'JOB');
+  if (!pushes) return null;
+  if (pushes.length < 2) return { encrypted, error: 'malformed job: missing prompt' };
+
+  // Legacy: JOB <prompt>, anything after it ignored as before
+  const version = pushes.length >= 3 && pushes[1].toString('utf8').match(/^v(\d+)$/);
+  if (!version) return { encrypted, version: null, prompt: pushes[1], params: {} };
+  if (pushes[1].toString('utf8') !== JOB_VERSION) {
+    return { encrypted, error: `unsupported job version ${pushes[1].toString('utf8')}` };
+  }
+
+  const rest = pushes.slice(3);
+  if (rest.length % 2) return { encrypted, error: 'malformed job: parameter without a value' };
+  const params = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const k = rest[i].toString('utf8');
+    if (!JOB_PARAMS.includes(k)) return { encrypted, error: `malformed job: unknown parameter ${k.slice(0, 32)}` };
+    params[k] = rest[i + 1];
+  }
+  return { encrypted, version: JOB_VERSION, prompt: pushes[2], params };
+}
+
+// Decoded params → typed values, or { error }
+function checkJobParams(raw) {
+  const params = {};
+  for (const [k, buf] of Object.entries(raw)) {
+    const v = typeof buf === 'string' ? buf : buf.toString('utf8');
+    if (k === 'max_tokens') {
+      if (!/^\d+$/.test(v) || parseInt(v) < 1) return { error: `bad max_tokens: ${v.slice(0, 32)}` };
+      params[k] = parseInt(v);
+    } else if (k === 'temperature') {
+      const t = Number(v);
+      if (!v.trim() || !Number.isFinite(t) || t < 0 || t > 2) return { error: `bad temperature: ${v.slice(0, 32)}` };
+      params[k] = t;
+    } else if (k === 'format') {
+      if (v !== 'text' && v !== 'json') return { error: `bad format: ${v.slice(0, 32)} (text or json)` };
+      params[k] = v;
+    } else if (k === 'reply_to') {
+      if (!bsv().Address.isValid(v)) return { error: `bad reply_to address: ${v.slice(0, 40)}` };
+      params[k] = v;
+    } else {
+      params[k] = v;
+    }
+  }
+  return { params };
+}
+
+// --- RES ---
+// With encryptTo (a public key) this builds an ERES instead. extra is
+// appended as key/value pairs (the job's nonce, for one), then the signature
+// if signWith (the agent's private key) is given.
+function buildResPushes(jobTxid, resultText, { encryptTo = null, extra = {}, signWith = null } = {}) {
+  const tag = encryptTo ? 'ERES' : 'RES';
+  const resultBuf = encryptTo ? encryptFor(encryptTo, resultText) : Buffer.from(resultText, 'utf8');
+  const hash = sha256(resultBuf);
+  const trailer = Object.entries(extra).filter(([, v]) => v != null).flatMap(([k, v]) => [k, String(v)]);
+  if (signWith) trailer.push('sig', signMessage(signWith, responseMessage(tag, jobTxid, hash)));
+  if (resultBuf.length <= MAX_RESULT_BYTES) {
+    return { pushes: [tag, txidPush(jobTxid), resultBuf, ...trailer], chunks: [], hash: null };
+  }
+  const chunks = [];
+  for (let i = 0; i < resultBuf.length; i += CHUNK_BYTES) chunks.push(resultBuf.subarray(i, i + CHUNK_BYTES));
+  return {
+    pushes: [tag, txidPush(jobTxid), `HASH:${hash}`, 'chunks', String(chunks.length), ...trailer],
+    chunks,
+    hash,
+  };
+}
+
+function buildChunkPushes(jobTxid, index, chunk) {
+  return ['CHUNK', txidPush(jobTxid), String(index), chunk];
+}
+
+function buildChatPushes(prompt, reply, { signWith = null } = {}) {
+  const pushes = ['CHAT', prompt, reply];
+  if (signWith) pushes.push('sig', signMessage(signWith, chatMessage(prompt, reply)));
+  return pushes;
+}
+
+// Every CHAT output of a WhatsOnChain-shaped tx → [{ vout, prompt, reply, sig }]
+function parseChats(tx) {
+  const chats = [];
+  for (const vout of (tx.vout || [])) {
+    if (!vout.scriptPubKey || vout.scriptPubKey.type !== 'nulldata') continue;
+    let pushes;
+    try {
+      pushes = bsv().Script.fromHex(vout.scriptPubKey.hex).chunks.filter(c => c.buf).map(c => c.buf);
+    } catch { continue; }
+    if (pushes.length < 3 || pushes[0].toString('utf8') !== 'CHAT') continue;
+    const sig = pushes.length >= 5 && pushes[3].toString('utf8') === 'sig' ? pushes[4].toString('utf8') : null;
+    chats.push({ vout: vout.n, prompt: pushes[1].toString('utf8'), reply: pushes[2].toString('utf8'), sig });
+  }
+  return chats;
+}
+
+function buildRefundPushes(jobTxid, reason) {
+  return ['REFUND', txidPush(jobTxid), reason];
+}
+
+function parseRefund(tx) {
+  const pushes = findPushes(tx, 'REFUND');
+  if (!pushes || pushes.length < 3 || pushes[1].length !== 32) return null;
+  return { jobTxid: readTxidPush(pushes[1]), reason: pushes[2].toString('utf8') };
+}
+
+// Handles RES and ERES. An ERES carries its ciphertext in `data`, not `result`.
+function parseRes(tx) {
+  const encrypted = !findPushes(tx, 'RES') && !!findPushes(tx, 'ERES');
+  const pushes = findPushes(tx, encrypted ? 'ERES' : 'RES');
+  if (!pushes || pushes.length < 3 || pushes[1].length !== 32) return null;
+  const res = {
+    jobTxid: readTxidPush(pushes[1]), encrypted, result: null, data: pushes[2], hash: null, chunkCount: 0, params: {}, sig: null,
+  };
+  const hashed = pushes[2].toString('utf8').match(/^HASH:([0-9a-f]{64})$/);
+  if (!hashed && !encrypted) res.result = pushes[2].toString('utf8');
+  for (let i = 3; i + 1 < pushes.length; i += 2) res.params[pushes[i].toString('utf8')] = pushes[i + 1].toString('utf8');
+  res.sig = res.params.sig || null;
+  delete res.params.sig;
+  if (hashed) {
+    res.hash = hashed[1];
+    res.data = null;
+    res.chunkCount = parseInt(res.params.chunks) || 0;
+    delete res.params.chunks;
+  }
+  return res;
+}
+
+function parseChunk(tx) {
+  const pushes = findPushes(tx, 'CHUNK');
+  if (!pushes || pushes.length < 4 || pushes[1].length !== 32) return null;
+  const index = parseInt(pushes[2].toString('utf8'));
+  if (!Number.isInteger(index) || index < 0) return null;
+  return { jobTxid: readTxidPush(pushes[1]), index, data: pushes[3] };
+}
+
+// Puts chunks back in order and checks them against the hash the RES committed
+// to. Where an index comes twice the first one counts. Encrypted results come
+// back as ciphertext unless privKey is given.
+function assembleResult(res, chunks, { privKey = null } = {}) {
+  if (!res.hash) return res.encrypted ? openResult(res.data, privKey) : res.result;
+  const byIndex = new Map();
+  for (const c of chunks) {
+    if (c.jobTxid === res.jobTxid && c.index < res.chunkCount && !byIndex.has(c.index)) byIndex.set(c.index, c.data);
+  }
+  if (byIndex.size < res.chunkCount) {
+    throw new Error(`Missing chunks: have ${byIndex.size} of ${res.chunkCount}`);
+  }
+  const full = Buffer.concat([...Array(res.chunkCount).keys()].map(i => byIndex.get(i)));
+  if (sha256(full) !== res.hash) throw new Error('Chunk hash mismatch');
+  return res.encrypted ? openResult(full, privKey) : full.toString('utf8');
+}
+
+function openResult(ciphertext, privKey) {
+  if (!privKey) return ciphertext;
+  try {
+    return decryptWith(privKey, ciphertext);
+  } catch {
+    throw new Error('Could not decrypt the result — wrong key?');
+  }
+}
+
+// --- Verification ---
+// A parsed RES/ERES against the agent's address. For a chunked result pass
+// its parsed CHUNKs; the content check then covers all of them.
+// → { signed, signatureValid, hash, contentValid, error }
+function verifyRes(res, address, chunks = []) {
+  const tag = res.encrypted ? 'ERES' : 'RES';
+  const hash = res.hash || sha256(res.data);
+  let contentValid = true;
+  let error = null;
+  if (res.hash) {
+    try { assembleResult(res, chunks); } catch (err) { contentValid = false; error = err.message; }
+  }
+  return {
+    signed: !!res.sig,
+    signatureValid: !!res.sig && verifyMessage(responseMessage(tag, res.jobTxid, hash), address, res.sig),
+    hash,
+    contentValid,
+    error,
+  };
+}
+
+// A parsed CHAT output against the agent's address → { signed, signatureValid }
+function verifyChat(chat, address) {
+  return {
+    signed: !!chat.sig,
+    signatureValid: !!chat.sig && verifyMessage(chatMessage(chat.prompt, chat.reply), address, chat.sig),
+  };
+}
+
+// --- Lookup ---
+// Distinct chunk indices of a chunked result found so far
+function chunksHave(res, chunks) {
+  return new Set(chunks.filter(c => c.jobTxid === res.jobTxid && c.index < res.chunkCount).map(c => c.index)).size;
+}
+
+// 'valid', 'invalid', or 'none' for responses from before signing
+function signatureStatus(res, agentAddress, chunks) {
+  if (!res.sig) return 'none';
+  return verifyRes(res, agentAddress, chunks).signatureValid ? 'valid' : 'invalid';
+}
+
+// Finds the RES for a job and delivers its result. Pass resTxid/chunkTxids
+// when known to skip scanning the agent's address history. Only txs the agent
+// signed count: anyone can send a RES or CHUNK to its address. Encrypted
+// results are decrypted with privKey; without it `result` is null.
+async function fetchResult(chain, agentAddress, jobTxid, { resTxid = null, chunkTxids = null, privKey = null } = {}) {
+  let res = null;
+  const chunkTxs = [];
+  const fromAgent = tx => !!tx && senderAddress(tx) === agentAddress;
+
+  if (resTxid) {
+    const tx = await chain.getTx(resTxid);
+    res = fromAgent(tx) && parseRes(tx);
+    if (res) res.txid = resTxid;
+  }
+
+  if (res && res.hash && chunkTxids) {
+    for (const txid of chunkTxids) {
+      const tx = await chain.getTx(txid);
+      const c = fromAgent(tx) && parseChunk(tx);
+      if (c) chunkTxs.push(c);
+    }
+  } else if (!res || res.hash) {
+    const history = await chain.getHistory(agentAddress);
+    for (const entry of history) {
+      const tx = await chain.getTx(entry.tx_hash);
+      if (!fromAgent(tx)) continue;
+      const r = parseRes(tx);
+      if (r && r.jobTxid === jobTxid && !res) res = { ...r, txid: entry.tx_hash };
+      const c = parseChunk(tx);
+      if (c && c.jobTxid === jobTxid) chunkTxs.push(c);
+    }
+  }
+
+  if (!res || res.jobTxid !== jobTxid) return null;
+  const result = assembleResult(res, chunkTxs, { privKey });
+  return {
+    resTxid: res.txid,
+    chunked: !!res.hash,
+    hash: res.hash,
+    chunkCount: res.chunkCount,
+    encrypted: res.encrypted,
+    nonce: res.params.nonce || null,
+    signature: signatureStatus(res, agentAddress, chunkTxs),
+    result: Buffer.isBuffer(result) ? null : result,
+  };
+}
+
+// Polls the agent's history until the job is answered (RES/ERES, with all of
+// its chunks) or refunded, or the timeout passes. Each tx is fetched once;
+// like fetchResult, only txs the agent signed count.
+// → { resTxid, chunked, hash, chunkCount, encrypted, nonce, signature, result }
+//   or { refunded: true, refundTxid, reason }; throws on timeout
+async function waitForResponse(chain, agentAddress, jobTxid, {
+  privKey = null, timeout = 600000, interval = 5000, onPoll = null,
+} = {}) {
+  const seen = new Set();
+  const chunks = [];
+  let res = null;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const history = await chain.getHistory(agentAddress);
+    for (const entry of history) {
+      if (seen.has(entry.tx_hash)) continue;
+      const tx = await chain.getTx(entry.tx_hash);
+      if (!tx) continue; // not propagated yet — try again next round
+      seen.add(entry.tx_hash);
+      if (senderAddress(tx) !== agentAddress) continue;
+
+      const refund = parseRefund(tx);
+      if (refund && refund.jobTxid === jobTxid) return { refunded: true, refundTxid: entry.tx_hash, reason: refund.reason };
+      const r = parseRes(tx);
+      if (r && r.jobTxid === jobTxid && !res) res = { ...r, txid: entry.tx_hash };
+      const c = parseChunk(tx);
+      if (c && c.jobTxid === jobTxid) chunks.push(c);
+    }
+
+    if (res && chunksHave(res, chunks) >= res.chunkCount) {
+      const result = assembleResult(res, chunks, { privKey });
+      return {
+        resTxid: res.txid,
+        chunked: !!res.hash,
+        hash: res.hash,
+        chunkCount: res.chunkCount,
+        encrypted: res.encrypted,
+        nonce: res.params.nonce || null,
+        signature: signatureStatus(res, agentAddress, chunks),
+        result: Buffer.isBuffer(result) ? null : result,
+      };
+    }
+
+    if (Date.now() + interval > deadline) {
+      throw new Error(res
+        ? `Timed out waiting for chunks: have ${chunksHave(res, chunks)} of ${res.chunkCount}`
+        : `Timed out after ${Math.round(timeout / 1000)}s waiting for a response`);
+    }
+    if (onPoll) onPoll({ res, chunks: res ? chunksHave(res, chunks) : 0 });
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
+
+// An address's public key, from the first tx in its history it signed
+async function findPublicKey(chain, address) {
+  const history = await chain.getHistory(address);
+  for (const entry of history) {
+    const tx = await chain.getTx(entry.tx_hash);
+    const pubKey = tx && senderPublicKey(tx);
+    if (pubKey && pubKey.toAddress().toString() === address) return pubKey;
+  }
+  return null;
+}
+
+module.exports = {
+  JOB_VERSION,
+  JOB_PARAMS,
+  MAX_RESULT_BYTES,
+  CHUNK_BYTES,
+  sha256,
+  txidPush,
+  readTxidPush,
+  buildOpReturn,
+  opReturnPushes,
+  findPushes,
+  isJobTx,
+  encryptFor,
+  decryptWith,
+  senderPublicKey,
+  senderAddress,
+  buildJobPushes,
+  parseJob,
+  checkJobParams,
+  buildResPushes,
+  buildChunkPushes,
+  buildRefundPushes,
+  buildChatPushes,
+  parseChats,
+  parseRes,
+  parseRefund,
+  parseChunk,
+  assembleResult,
+  responseMessage,
+  chatMessage,
+  signMessage,
+  verifyMessage,
+  verifyRes,
+  verifyChat,
+  fetchResult,
+  waitForResponse,
+  findPublicKey,
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+// Priority queue drained by a fixed pool of workers. The highest priority runs
+// first, ties in arrival order. Each run gets an AbortSignal that fires after
+// `timeout` ms; workers are expected to wind down when it does, and their slot
+// is only freed once they return.
+
+function createJobQueue({ concurrency = 1, timeout = 0, worker, onError = () => {} }) {
+  const waiting = [];
+  const running = new Map(); // id → AbortController
+  let seq = 0;
+
+  function has(id) {
+    return running.has(id) || waiting.some(w => w.id === id);
+  }
+
+  function push(id, priority = 0, data = null) {
+    if (has(id)) return false;
+    waiting.push({ id, priority, data, seq: seq++ });
+    waiting.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+    drain();
+    return true;
+  }
+
+  function drain() {
+    while (running.size < concurrency && waiting.length) run(waiting.shift());
+  }
+
+  async function run(item) {
+    const controller = new AbortController();
+    running.set(item.id, controller);
+    const timer = timeout
+      ? setTimeout(() => controller.abort(new Error(`timed out after ${Math.round(timeout / 1000)}s`)), timeout)
+      : null;
+    try {
+      await worker(item.id, item.data, controller.signal);
+    } catch (err) {
+      onError(item.id, err);
+    } finally {
+      clearTimeout(timer);
+      running.delete(item.id);
+      drain();
+    }
+  }
+
+  return {
+    push,
+    has,
+    stats: () => ({ queued: waiting.length, running: running.size }),
+  };
+}
+
+module.exports = { createJobQueue };
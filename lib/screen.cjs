@@ -0,0 +1,129 @@
+'use strict';
+
+// Screening of text before it goes on-chain, where it can never be taken back.
+//
+// Detectors find personal data (emails, phone numbers) and secrets (private
+// keys, API keys, credentials). What happens to a find is set per category:
+//
+//   allow   post it as is
+//   redact  replace it with [email], [api key], ...
+//   hash    replace it with [email hmac:<12 hex>], an HMAC-SHA256 under a
+//           server-side key. Emails and phone numbers are few enough to
+//           guess, so a plain hash would give them away; with the key only
+//           the operator can match a value they already know
+//   block   don't post the chat at all
+//
+// SCREEN_PII (default redact) and SCREEN_SECRETS (default block) pick them.
+// The hash key is SCREEN_HASH_KEY, or a random key kept in a file next to
+// the server. Losing it only means old hashes can't be matched any more.
+
+const crypto = require('crypto');
+const { loadSecret } = require('./sessions.cjs');
+
+const POLICIES = ['allow', 'redact', 'hash', 'block'];
+const B58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest();
+}
+
+function base58check(str) {
+  let n = 0n;
+  for (const c of str) {
+    const i = B58.indexOf(c);
+    if (i < 0) return false;
+    n = n * 58n + BigInt(i);
+  }
+  let hex = n.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const buf = Buffer.concat([Buffer.alloc(str.match(/^1*/)[0].length), Buffer.from(hex, 'hex')]);
+  if (buf.length < 5) return false;
+  return sha256(sha256(buf.subarray(0, -4))).subarray(0, 4).equals(buf.subarray(-4));
+}
+
+const digits = s => s.replace(/\D/g, '').length;
+
+// Secrets first: where matches overlap, the earlier detector wins
+const DETECTORS = [
+  { type: 'private_key', label: 'private key', category: 'secrets',
+    re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { type: 'wif', label: 'private key (WIF)', category: 'secrets',
+    re: /\b[59KLc][1-9A-HJ-NP-Za-km-z]{50,51}\b/g, valid: base58check },
+  { type: 'xprv', label: 'extended private key', category: 'secrets',
+    re: /\b[xt]prv[1-9A-HJ-NP-Za-km-z]{100,108}\b/g, valid: base58check },
+  { type: 'api_key', label: 'API key', category: 'secrets',
+    re: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g },
+  { type: 'credential', label: 'password or token', category: 'secrets',
+    re: /\b(?:api[_-]?key|secret|token|passw(?:or)?d)\b\s*[:=]\s*['"]?[^\s'"]{8,}/gi },
+  { type: 'email', label: 'email address', category: 'pii',
+    re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+  { type: 'phone', label: 'phone number', category: 'pii',
+    re: /(?<![\w+])\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}(?!\w)/g, valid: s => digits(s) >= 8 && digits(s) <= 15 },
+  { type: 'phone', label: 'phone number', category: 'pii',
+    re: /(?<![\w+])\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\w)/g },
+];
+
+// keyFile is where the hash key is kept; it's only read (or made) when a
+// category is set to hash
+function loadScreenPolicy(env = process.env, { keyFile = null } = {}) {
+  const policy = { pii: env.SCREEN_PII || 'redact', secrets: env.SCREEN_SECRETS || 'block' };
+  for (const [k, v] of Object.entries(policy)) {
+    if (!POLICIES.includes(v)) throw new Error(`SCREEN_${k.toUpperCase()} must be one of ${POLICIES.join(', ')} (got ${v})`);
+  }
+  if (Object.values(policy).includes('hash')) {
+    if (!env.SCREEN_HASH_KEY && !keyFile) throw new Error('The hash policy needs SCREEN_HASH_KEY');
+    policy.hashKey = loadSecret(keyFile, env, 'SCREEN_HASH_KEY');
+  }
+  return policy;
+}
+
+// → { text, findings: [{ type, label, action }], blocked }
+function screenText(text, policy = loadScreenPolicy()) {
+  const matches = [];
+  for (const d of DETECTORS) {
+    const action = policy[d.category];
+    if (action === 'allow') continue;
+    for (const m of text.matchAll(d.re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (d.valid && !d.valid(m[0])) continue;
+      if (matches.some(o => start < o.end && end > o.start)) continue;
+      matches.push({ start, end, value: m[0], type: d.type, label: d.label, action });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start);
+
+  let out = '';
+  let at = 0;
+  for (const m of matches) {
+    out += text.slice(at, m.start);
+    if (m.action === 'hash') out += `[${m.label} hmac:${crypto.createHmac('sha256', policy.hashKey).update(m.value).digest('hex').slice(0, 12)}]`;
+    else if (m.action === 'redact') out += `[${m.label}]`;
+    else out += m.value;
+    at = m.end;
+  }
+  out += text.slice(at);
+
+  return {
+    text: out,
+    findings: matches.map(({ type, label, action }) => ({ type, label, action })),
+    blocked: matches.some(m => m.action === 'block'),
+  };
+}
+
+// Both halves of a chat → { prompt, result, findings: [{ field, ... }], blocked }
+function screenChat(prompt, result, policy = loadScreenPolicy()) {
+  const p = screenText(prompt, policy);
+  const r = screenText(result, policy);
+  return {
+    prompt: p.text,
+    result: r.text,
+    findings: [
+      ...p.findings.map(f => ({ field: 'prompt', ...f })),
+      ...r.findings.map(f => ({ field: 'result', ...f })),
+    ],
+    blocked: p.blocked || r.blocked,
+  };
+}
+
+module.exports = { loadScreenPolicy, screenText, screenChat, POLICIES };
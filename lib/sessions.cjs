@@ -0,0 +1,79 @@
+'use strict';
+
+// Signed sessions for the web UI. A session is a random id; the client holds
+// "<id>.<hmac>" — in a cookie for browsers, or as a bearer token for API
+// clients — so ids can't be guessed or forged. The HMAC key is SESSION_SECRET,
+// or a random key kept in a file next to the server so sessions survive
+// restarts.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'bsv_session';
+const MAX_AGE = 365 * 24 * 3600; // s
+const ID_RE = /^[0-9a-f]{32}$/;
+
+// Also keys lib/screen.cjs's hashes, under another variable name
+function loadSecret(file, env = process.env, name = 'SESSION_SECRET') {
+  if (env[name]) return env[name];
+  try {
+    fs.writeFileSync(file, `${crypto.randomBytes(32).toString('hex')}\n`, { flag: 'wx', mode: 0o600 });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  const secret = fs.readFileSync(file, 'utf8').trim();
+  if (!secret) throw new Error(`${file} is empty — delete it or set ${name}`);
+  return secret;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+function createSessions({ secret, secure = false }) {
+  const sign = id => crypto.createHmac('sha256', secret).update(id).digest('base64url');
+
+  function tokenFor(id) {
+    return `${id}.${sign(id)}`;
+  }
+
+  // → session id, or null if the token is missing or not ours
+  function verify(token) {
+    const [id, mac] = (token || '').split('.');
+    if (!ID_RE.test(id) || !mac) return null;
+    const a = Buffer.from(mac);
+    const b = Buffer.from(sign(id));
+    return a.length === b.length && crypto.timingSafeEqual(a, b) ? id : null;
+  }
+
+  function fromRequest(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return verify(auth.slice(7).trim());
+    return verify(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  }
+
+  function cookie(id) {
+    const attrs = [`${COOKIE_NAME}=${tokenFor(id)}`, 'Path=/', `Max-Age=${MAX_AGE}`, 'HttpOnly', 'SameSite=Lax'];
+    if (secure) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  // → { id, created }. A request without a valid session gets a fresh one,
+  // and the response carries its cookie.
+  function ensure(req, res) {
+    const id = fromRequest(req);
+    if (id) return { id, created: false };
+    const fresh = crypto.randomBytes(16).toString('hex');
+    res.setHeader('Set-Cookie', cookie(fresh));
+    return { id: fresh, created: true };
+  }
+
+  return { ensure, fromRequest, tokenFor };
+}
+
+module.exports = { loadSecret, createSessions, COOKIE_NAME };
@@ -0,0 +1,157 @@
+'use strict';
+
+// Building and signing P2PKH transactions with size-based fees.
+//
+// FEE_RATE is in sats per byte of the signed tx (fractions allowed), with
+// MIN_FEE as a floor. Change below DUST_LIMIT isn't worth an output — it goes
+// to the miner instead.
+
+const { buildOpReturn } = require('./protocol.cjs');
+
+const FEE_RATE = parseFloat(process.env.FEE_RATE || '1');
+const MIN_FEE = parseInt(process.env.MIN_FEE || '300');
+const DUST_LIMIT = parseInt(process.env.DUST_LIMIT || '546');
+
+// Signatures are 71-73 bytes; re-signing after setting the change amount can
+// grow the tx by a byte per input, so leave room for it.
+const SIG_SLACK = 2;
+
+let bsvLib;
+function bsv() {
+  if (!bsvLib) bsvLib = require('scrypt-ts').bsv;
+  return bsvLib;
+}
+
+function feeFor(bytes) {
+  return Math.max(MIN_FEE, Math.ceil(bytes * FEE_RATE));
+}
+
+// Rough size before anything is built — good enough to pick inputs
+function estimateSize({ inputs = 1, dataBytes = 0, pushes = 0, dataOutputs = 1, outputs = 1 }) {
+  return 10 + inputs * 148 + (11 * dataOutputs + dataBytes + pushes * 5) + outputs * 34;
+}
+
+function estimateFee(opts) {
+  return feeFor(estimateSize(opts));
+}
+
+function signP2PKH(tx, privKey) {
+  const B = bsv();
+  const pubKey = privKey.toPublicKey();
+  const sighashType = B.crypto.Signature.SIGHASH_ALL | B.crypto.Signature.SIGHASH_FORKID;
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const sig = B.Transaction.Sighash.sign(
+      tx, privKey, sighashType,
+      i, tx.inputs[i].output.script, new B.crypto.BN(tx.inputs[i].output.satoshis)
+    );
+    const scriptSig = new B.Script();
+    scriptSig.add(Buffer.concat([sig.toDER(), Buffer.from([sighashType & 0xff])]));
+    scriptSig.add(pubKey.toBuffer());
+    tx.inputs[i].setScript(scriptSig);
+  }
+  return tx;
+}
+
+// utxos: [{ txid, vout, satoshis, script }]
+function addInputs(tx, utxos) {
+  const B = bsv();
+  let totalIn = 0;
+  for (const utxo of utxos) {
+    tx.addInput(new B.Transaction.Input.PublicKeyHash({
+      output: new B.Transaction.Output({
+        script: B.Script.fromHex(utxo.script),
+        satoshis: utxo.satoshis,
+      }),
+      prevTxId: utxo.txid,
+      outputIndex: utxo.vout,
+      script: B.Script.empty(),
+    }));
+    totalIn += utxo.satoshis;
+  }
+  return totalIn;
+}
+
+// --- Coin selection ---
+// target(n) is what n inputs have to cover — payment plus the fee for a tx
+// of that many inputs. Prefers the smallest single coin that covers it, so
+// big coins aren't broken up for small payments; otherwise adds coins
+// largest first. consolidate spends every coin.
+function selectCoins(utxos, target, { consolidate = false } = {}) {
+  const total = utxos.reduce((s, u) => s + u.satoshis, 0);
+  if (consolidate) {
+    if (total < target(utxos.length)) throw insufficient(target(utxos.length), total);
+    return utxos.slice();
+  }
+
+  const single = utxos
+    .filter(u => u.satoshis >= target(1))
+    .sort((a, b) => a.satoshis - b.satoshis)[0];
+  if (single) return [single];
+
+  const picked = [];
+  let sum = 0;
+  for (const u of [...utxos].sort((a, b) => b.satoshis - a.satoshis)) {
+    picked.push(u);
+    sum += u.satoshis;
+    if (sum >= target(picked.length)) return picked;
+  }
+  throw insufficient(target(utxos.length), total);
+}
+
+function insufficient(needed, available) {
+  return new Error(`Insufficient funds: need ${needed} sats, have ${available}`);
+}
+
+// Output 0: OP_RETURN with the pushes — or, given a list of push lists, one
+// OP_RETURN output per list, from output 0 on. Then any fixed payments ([{ to,
+// satoshis }]), then everything left after the fee, to payTo (or back to
+// ourselves). Fee comes from the signed size.
+// → { tx, keep, fee }, keep being the last output's value (0 if it was dust)
+function buildDataTx(privKey, utxos, pushes, { payTo = null, payments = [] } = {}) {
+  const B = bsv();
+  const dataOutputs = Array.isArray(pushes[0]) ? pushes : [pushes];
+  const to = payTo ? B.Address.fromString(payTo) : privKey.toAddress();
+  const totalIn = utxos.reduce((s, u) => s + u.satoshis, 0);
+  const paid = payments.reduce((s, p) => s + p.satoshis, 0);
+
+  function assemble(keep) {
+    const tx = new B.Transaction();
+    addInputs(tx, utxos);
+    for (const p of dataOutputs) tx.addOutput(new B.Transaction.Output({ script: buildOpReturn(p), satoshis: 0 }));
+    for (const p of payments) {
+      tx.addOutput(new B.Transaction.Output({
+        script: B.Script.buildPublicKeyHashOut(B.Address.fromString(p.to)), satoshis: p.satoshis,
+      }));
+    }
+    if (keep > 0) tx.addOutput(new B.Transaction.Output({ script: B.Script.buildPublicKeyHashOut(to), satoshis: keep }));
+    return signP2PKH(tx, privKey);
+  }
+
+  function signedFee(tx) {
+    return feeFor(tx.uncheckedSerialize().length / 2 + tx.inputs.length * SIG_SLACK);
+  }
+
+  // Sign once to measure, then settle the output and sign for real
+  const fee = signedFee(assemble(Math.max(1, totalIn - paid)));
+  const keep = totalIn - paid - fee;
+  if (keep >= DUST_LIMIT) return { tx: assemble(keep), keep, fee };
+
+  if (payTo) throw new Error(`Output to ${payTo} would be dust (${keep} sats after a ${fee} sat fee)`);
+  const tx = assemble(0);
+  const bareFee = signedFee(tx);
+  if (totalIn - paid < bareFee) throw insufficient(paid + bareFee, totalIn);
+  return { tx, keep: 0, fee: totalIn - paid };
+}
+
+module.exports = {
+  FEE_RATE,
+  MIN_FEE,
+  DUST_LIMIT,
+  feeFor,
+  estimateSize,
+  estimateFee,
+  signP2PKH,
+  addInputs,
+  selectCoins,
+  buildDataTx,
+};
@@ -0,0 +1,314 @@
+'use strict';
+
+// The agent wallet's coins, shared by every process that spends from it.
+//
+// State lives in one JSON file guarded by a lock file, so agent.cjs and web.cjs
+// see each other's reservations and unconfirmed spends:
+//
+//   coins         spendable outputs we know of: from the chain provider, or
+//                 change of our own txs before the provider has indexed them
+//   spent         outpoints our unconfirmed txs spent — never handed out again,
+//                 even while the provider still lists them as unspent
+//   reservations  outpoints someone is building a tx from, with an owner and
+//                 an expiry so a crashed process can't hold coins forever
+//
+// Each coin carries its unconfirmed chain depth. Coins at MAX_CHAIN_DEPTH wait
+// for a block before they are spent again. Coins paid to us by a job tx are
+// tagged and only spent by the agent, through reserveOutpoints().
+
+const fs = require('fs');
+const { isJobTx } = require('./protocol.cjs');
+
+const MAX_CHAIN_DEPTH = parseInt(process.env.MAX_CHAIN_DEPTH || '25');
+const RESERVATION_TTL = parseInt(process.env.RESERVATION_TTL || String(60 * 60 * 1000)); // ms
+const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL || '60000'); // ms
+const PENDING_GRACE = 10 * 60 * 1000; // how long our own change may be missing from the provider
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 15000;
+
+let bsvLib;
+function bsv() {
+  if (!bsvLib) bsvLib = require('scrypt-ts').bsv;
+  return bsvLib;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const key = (txid, vout) => `${txid}:${vout}`;
+
+function createUtxoManager({ file, address, chain }) {
+  const lockFile = `${file}.lock`;
+  let script = null;
+
+  function ourScript() {
+    if (!script) script = bsv().Script.buildPublicKeyHashOut(bsv().Address.fromString(address)).toHex();
+    return script;
+  }
+
+  // --- Locking ---
+  function lockIsStale() {
+    try {
+      const stat = fs.statSync(lockFile);
+      if (Date.now() - stat.mtimeMs > LOCK_STALE) return true;
+      const pid = parseInt(fs.readFileSync(lockFile, 'utf8'));
+      if (pid && pid !== process.pid) process.kill(pid, 0);
+      return false;
+    } catch (err) {
+      return err.code === 'ESRCH';
+    }
+  }
+
+  async function withLock(fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx');
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        if (lockIsStale()) { try { fs.unlinkSync(lockFile); } catch {} continue; }
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the UTXO lock');
+        await sleep(20);
+      }
+    }
+    try {
+      const state = load();
+      pruneReservations(state);
+      const result = fn(state);
+      save(state);
+      return result;
+    } finally {
+      try { fs.unlinkSync(lockFile); } catch {}
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return { address, coins: {}, spent: {}, reservations: {}, reconciledAt: null };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function save(state) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function pruneReservations(state) {
+    const now = Date.now();
+    for (const [k, r] of Object.entries(state.reservations)) {
+      if (r.expires < now || !state.coins[k]) delete state.reservations[k];
+    }
+  }
+
+  function reserveCoins(state, owner, coins, ttl) {
+    const expires = Date.now() + ttl;
+    for (const c of coins) state.reservations[key(c.txid, c.vout)] = { owner, pid: process.pid, expires };
+  }
+
+  function toUtxo(c) {
+    return { txid: c.txid, vout: c.vout, satoshis: c.satoshis, script: c.script };
+  }
+
+  // --- Spending ---
+  // Picks unreserved, untagged coins covering `target` — a sat amount, or a
+  // function of the input count for fees that grow with inputs. Confirmed
+  // and shallow coins go first, then larger before smaller.
+  function pick(state, target) {
+    const needed = n => (typeof target === 'function' ? target(n) : target);
+    const available = Object.entries(state.coins)
+      .filter(([k, c]) => !state.reservations[k] && !state.spent[k] && !c.tag && (c.depth || 0) < MAX_CHAIN_DEPTH)
+      .map(([, c]) => c)
+      .sort((a, b) => (a.depth || 0) - (b.depth || 0) || b.satoshis - a.satoshis);
+
+    const picked = [];
+    let total = 0;
+    for (const c of available) {
+      picked.push(c);
+      total += c.satoshis;
+      if (total >= needed(picked.length)) return picked;
+    }
+    return null;
+  }
+
+  async function reserve(owner, target, { ttl = RESERVATION_TTL } = {}) {
+    let picked = await withLock(state => {
+      const coins = pick(state, target);
+      if (coins) reserveCoins(state, owner, coins, ttl);
+      return coins;
+    });
+    if (!picked) {
+      await reconcile();
+      picked = await withLock(state => {
+        const coins = pick(state, target);
+        if (coins) reserveCoins(state, owner, coins, ttl);
+        return coins;
+      });
+    }
+    if (!picked) throw new Error(`Agent wallet has no spendable funds — please fund ${address}`);
+    return picked.map(toUtxo);
+  }
+
+  // Claims specific outputs (a job's payment) — fails if another owner holds
+  // them or one of our txs already spent them
+  async function reserveOutpoints(owner, utxos, { ttl = RESERVATION_TTL } = {}) {
+    return withLock(state => {
+      for (const u of utxos) {
+        const k = key(u.txid, u.vout);
+        if (state.spent[k]) throw new Error(`${k} was already spent by ${state.spent[k].spentBy}`);
+        const r = state.reservations[k];
+        if (r && r.owner !== owner) throw new Error(`${k} is reserved by ${r.owner}`);
+      }
+      for (const u of utxos) {
+        const k = key(u.txid, u.vout);
+        if (!state.coins[k]) {
+          state.coins[k] = { ...toUtxo(u), height: 0, depth: 0, source: 'chain', tag: 'job', seenAt: Date.now() };
+        }
+      }
+      reserveCoins(state, owner, utxos, ttl);
+    });
+  }
+
+  async function release(owner) {
+    return withLock(state => {
+      for (const [k, r] of Object.entries(state.reservations)) {
+        if (r.owner === owner) delete state.reservations[k];
+      }
+    });
+  }
+
+  // Job payments the agent keeps without spending become ordinary funds
+  async function untag(txids) {
+    const set = new Set([].concat(txids));
+    return withLock(state => {
+      for (const c of Object.values(state.coins)) {
+        if (set.has(c.txid)) delete c.tag;
+      }
+    });
+  }
+
+  // Records a tx we broadcast: its inputs are spent, its outputs to us are new
+  // coins one level deeper in the unconfirmed chain. With hold, the new coins
+  // stay reserved for the owner (the next tx in a chain spends them);
+  // otherwise the owner's reservations are let go.
+  async function commit(owner, txhex, { hold = false } = {}) {
+    const tx = new (bsv().Transaction)(txhex);
+    const txid = tx.id;
+    return withLock(state => {
+      let depth = 0;
+      for (const input of tx.inputs) {
+        const k = key(input.prevTxId.toString('hex'), input.outputIndex);
+        const coin = state.coins[k];
+        depth = Math.max(depth, coin ? (coin.depth || 0) + 1 : 1);
+        delete state.coins[k];
+        delete state.reservations[k];
+        state.spent[k] = { spentBy: txid, at: Date.now() };
+      }
+      const created = [];
+      tx.outputs.forEach((output, vout) => {
+        // Committing the same tx twice mustn't resurrect change a later tx spent
+        if (output.script.toHex() !== ourScript() || state.spent[key(txid, vout)]) return;
+        const coin = {
+          txid, vout, satoshis: output.satoshis, script: ourScript(), height: 0, depth, source: 'ours', seenAt: Date.now(),
+        };
+        state.coins[key(txid, vout)] = coin;
+        created.push(coin);
+      });
+      if (hold) reserveCoins(state, owner, created, RESERVATION_TTL);
+      else {
+        for (const [k, r] of Object.entries(state.reservations)) {
+          if (r.owner === owner) delete state.reservations[k];
+        }
+      }
+      return created.map(toUtxo);
+    });
+  }
+
+  // --- Reconciliation ---
+  // Brings the local set in line with the chain provider: picks up new coins,
+  // forgets ones spent elsewhere, and settles depths once things confirm.
+  // New incoming txs are fetched once to tag job payments.
+  async function reconcile() {
+    const unspent = await chain.getUnspent(address);
+    const known = load();
+    const jobTxids = new Set();
+    const unclassified = new Set(); // couldn't fetch — left out until next time
+    const newTxids = new Set(unspent
+      .filter(u => !known.coins[key(u.tx_hash, u.tx_pos)] && !known.spent[key(u.tx_hash, u.tx_pos)])
+      .map(u => u.tx_hash));
+    for (const txid of newTxids) {
+      const tx = await chain.getTx(txid);
+      if (!tx) unclassified.add(txid);
+      else if (isJobTx(tx)) jobTxids.add(txid);
+    }
+
+    return withLock(state => {
+      const onChain = new Map(unspent.map(u => [key(u.tx_hash, u.tx_pos), u]));
+      const now = Date.now();
+
+      for (const [k, u] of onChain) {
+        if (state.spent[k]) continue;
+        const coin = state.coins[k];
+        if (unclassified.has(u.tx_hash)) continue;
+        if (coin) {
+          coin.height = u.height || 0;
+          if (u.height > 0) coin.depth = 0;
+        } else {
+          state.coins[k] = {
+            txid: u.tx_hash,
+            vout: u.tx_pos,
+            satoshis: u.value,
+            script: ourScript(),
+            height: u.height || 0,
+            depth: 0,
+            source: 'chain',
+            seenAt: now,
+            ...(jobTxids.has(u.tx_hash) ? { tag: 'job' } : {}),
+          };
+        }
+      }
+
+      for (const [k, coin] of Object.entries(state.coins)) {
+        if (onChain.has(k)) continue;
+        // Our own change may just not be indexed yet
+        if (coin.source === 'ours' && now - coin.seenAt < PENDING_GRACE) continue;
+        if (state.reservations[k] && coin.tag === 'job') continue;
+        delete state.coins[k];
+      }
+
+      // Once the provider stops listing an outpoint as unspent, our spend is
+      // common knowledge and the record can go
+      for (const k of Object.keys(state.spent)) {
+        if (!onChain.has(k) && now - state.spent[k].at > 60000) delete state.spent[k];
+      }
+
+      state.reconciledAt = new Date().toISOString();
+      return summarize(state);
+    });
+  }
+
+  function summarize(state) {
+    const coins = Object.entries(state.coins).filter(([k]) => !state.spent[k]);
+    return {
+      coins: coins.length,
+      balance: coins.reduce((s, [, c]) => s + c.satoshis, 0),
+      reserved: Object.keys(state.reservations).length,
+      unconfirmed: coins.filter(([, c]) => !c.height).length,
+      maxDepth: coins.reduce((m, [, c]) => Math.max(m, c.depth || 0), 0),
+      reconciledAt: state.reconciledAt,
+    };
+  }
+
+  return {
+    reserve,
+    reserveOutpoints,
+    release,
+    untag,
+    commit,
+    reconcile,
+    // Read-only snapshot, no lock needed
+    stats: () => summarize(load()),
+  };
+}
+
+module.exports = { createUtxoManager, MAX_CHAIN_DEPTH, RECONCILE_INTERVAL };
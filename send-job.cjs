@@ -3,143 +3,211 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const { bsv } = require('scrypt-ts');
-
+const { createProvider } = require('./lib/chain.cjs');
+const { unlockWallet } = require('./lib/keystore.cjs');
+const { buildDataTx, selectCoins, estimateFee } = require('./lib/tx.cjs');
+const {
+  JOB_PARAMS, fetchResult, waitForResponse, findPublicKey, buildJobPushes,
+} = require('./lib/protocol.cjs');
+
+const FLAGS = new Set(['encrypt', 'wait', 'json', 'dry-run', 'consolidate']);
 const args = {};
 for (let i = 2; i < process.argv.length; i++) {
-  if (process.argv[i].startsWith('--')) args[process.argv[i].replace(/^--/, '')] = process.argv[++i];
+  if (!process.argv[i].startsWith('--')) continue;
+  const name = process.argv[i].replace(/^--/, '');
+  args[name] = FLAGS.has(name) ? true : process.argv[++i];
+}
+
+// Long prompts: --prompt-file <path>, or --prompt - to read stdin
+function readPrompt() {
+  if (args['prompt-file']) return fs.readFileSync(args['prompt-file'], 'utf8');
+  if (args.prompt === '-') return fs.readFileSync(0, 'utf8');
+  return args.prompt;
 }
 
 const TO = args.to;
-const PROMPT = args.prompt;
 const SATS = parseInt(args.sats || '5000');
 const WALLET_PATH = args.wallet || path.join(__dirname, '../bsv-wallet.json');
+const RESULT_FOR = args.result;
+const ENCRYPT = !!(args.encrypt || args.pubkey);
+const DRY_RUN = !!args['dry-run'];
+const CONSOLIDATE = !!args.consolidate;
+const WAIT = !!args.wait;
+const JSON_OUT = !!args.json;
+const WAIT_TIMEOUT = parseInt(args.timeout || '600') * 1000;
+const WAIT_INTERVAL = parseInt(args.interval || '5') * 1000;
+
+// With --json, stdout carries a single JSON object; progress goes to stderr
+const say = JSON_OUT ? console.error : console.log;
+
+// v1 job parameters: --max-tokens 200 → max_tokens
+const PARAMS = {};
+for (const k of JOB_PARAMS) {
+  const v = args[k.replace(/_/g, '-')];
+  if (v !== undefined) PARAMS[k] = v;
+}
 
-if (!TO || !PROMPT) {
-  console.log('Usage: node send-job.cjs --to <agent-address> --prompt <text> [--sats <amount>] [--wallet <path>]');
+if (!TO || (!args.prompt && !args['prompt-file'] && !RESULT_FOR)) {
+  console.log('Usage: node send-job.cjs --to <agent-address> --prompt <text|-> [--sats <amount>] [--wallet <path>]');
+  console.log('                         [--prompt-file <path>] [--dry-run] [--consolidate]');
+  console.log('                         [--encrypt] [--pubkey <agent-public-key>]');
+  console.log('                         [--model <name>] [--max-tokens <n>] [--temperature <0-2>] [--system <text>]');
+  console.log('                         [--format text|json] [--reply-to <address>] [--nonce <id>]');
+  console.log('                         [--wait [--timeout <s>] [--interval <s>]] [--json]');
+  console.log('       node send-job.cjs --to <agent-address> --result <job-txid> [--wallet <path>] [--wait] [--json]');
   process.exit(1);
 }
 
-function httpGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { Accept: 'application/json' } }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(d)); }
-        catch { resolve(null); }
-      });
-    }).on('error', reject);
+const chain = createProvider();
+
+// Encrypted wallets take WALLET_PASSPHRASE or a prompt, see lib/keystore.cjs
+async function loadKey() {
+  const wallet = await unlockWallet(WALLET_PATH);
+  return wallet && bsv.PrivateKey.fromWIF(wallet.wif);
+}
+
+function printResponse(jobTxid, found) {
+  if (JSON_OUT) { console.log(JSON.stringify({ jobTxid, ...found })); return; }
+  if (found.refunded) {
+    console.log(`   ↩️  Refunded in ${found.refundTxid}: ${found.reason}`);
+    return;
+  }
+  console.log(`   Response TX: ${found.resTxid}`);
+  if (found.chunked) console.log(`   Reassembled ${found.chunkCount} chunk(s) — sha256 ${found.hash} ✓`);
+  if (found.encrypted) console.log('   🔒 Decrypted with your wallet key');
+  if (found.signature === 'valid') console.log('   🔏 Signed by the agent ✓');
+  if (found.signature === 'invalid') console.log('   ⚠️  Signature does not match the agent\'s address');
+  if (found.nonce) console.log(`   Nonce:       ${found.nonce}`);
+  console.log();
+  console.log(found.result);
+}
+
+// Polls until the agent answers or refunds. Refunds exit with status 2.
+async function awaitResponse(jobTxid, privKey) {
+  say(`⏳ Waiting for the agent's response (up to ${WAIT_TIMEOUT / 1000}s)...`);
+  const found = await waitForResponse(chain, TO, jobTxid, {
+    privKey,
+    timeout: WAIT_TIMEOUT,
+    interval: WAIT_INTERVAL,
+    onPoll: ({ res, chunks }) => { if (res && res.chunkCount) say(`   ${chunks}/${res.chunkCount} chunks so far`); },
   });
+  printResponse(jobTxid, found);
+  if (found.refunded) process.exit(2);
 }
 
-function wocBroadcast(txhex) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({ txhex });
-    const req = https.request({
-      hostname: 'api.whatsonchain.com',
-      path: '/v1/bsv/main/tx/raw',
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode >= 400) return reject(new Error(`Broadcast: ${d}`));
-        resolve(d.replace(/"/g, '').trim());
+// Look up the agent's RES for a job, reassembling chunked results. Encrypted
+// results are decrypted with the wallet that sent the job.
+async function showResult() {
+  const privKey = await loadKey();
+  if (WAIT) return awaitResponse(RESULT_FOR, privKey);
+
+  say(`🔎 Looking for the response to ${RESULT_FOR}...`);
+  const found = await fetchResult(chain, TO, RESULT_FOR, { privKey });
+  if (!found) throw new Error('No response yet');
+  printResponse(RESULT_FOR, found);
+}
+
+// The agent's key comes from --pubkey, or from a tx the agent has signed
+async function agentPublicKey() {
+  if (args.pubkey) return bsv.PublicKey.fromString(args.pubkey);
+  const pubKey = await findPublicKey(chain, TO);
+  if (!pubKey) throw new Error(`No public key found for ${TO} — pass --pubkey (the agent prints it on startup)`);
+  return pubKey;
+}
+
+function describeTx(tx) {
+  say(`   TXID:    ${tx.id}`);
+  tx.inputs.forEach((input, i) => {
+    say(`   in  ${i}: ${input.prevTxId.toString('hex')}:${input.outputIndex}  ${input.output.satoshis} sats`);
+  });
+  tx.outputs.forEach((output, i) => {
+    if (output.script.isDataOut() || output.script.isSafeDataOut()) {
+      const shown = output.script.chunks.filter(c => c.buf).map(({ buf: p }) => {
+        const text = p.toString('utf8');
+        const printable = Buffer.from(text, 'utf8').equals(p) && !/[\x00-\x08\x0e-\x1f]/.test(text);
+        const v = printable ? JSON.stringify(text) : `<${p.length} bytes>`;
+        return v.length > 60 ? `${v.slice(0, 57)}...` : v;
       });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
+      say(`   out ${i}: OP_RETURN ${shown.join(' ')}`);
+    } else {
+      say(`   out ${i}: ${output.script.toAddress().toString()}  ${output.satoshis} sats`);
+    }
   });
 }
 
 async function main() {
-  const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
-  const privKey = bsv.PrivateKey.fromWIF(wallet.wif);
-  const pubKey = privKey.toPublicKey();
+  const prompt = readPrompt();
+  if (!prompt) throw new Error('Empty prompt');
+  const privKey = await loadKey();
+  if (!privKey) throw new Error(`No wallet at ${WALLET_PATH}`);
   const address = privKey.toAddress();
+  const promptPreview = prompt.length > 80 ? `${prompt.slice(0, 80)}... (${Buffer.byteLength(prompt, 'utf8')} bytes)` : prompt;
 
-  console.log('📤 Sending Job to BSV Agent');
-  console.log(`   To:      ${TO}`);
-  console.log(`   Prompt:  ${PROMPT}`);
-  console.log(`   Payment: ${SATS} sats`);
-  console.log(`   From:    ${address.toString()}`);
-  console.log();
+  say('📤 Sending Job to BSV Agent');
+  say(`   To:      ${TO}`);
+  say(`   Prompt:  ${promptPreview}`);
+  say(`   Payment: ${SATS} sats`);
+  say(`   From:    ${address.toString()}`);
+  for (const [k, v] of Object.entries(PARAMS)) say(`   ${`${k}:`.padEnd(8)} ${v}`);
+  if (ENCRYPT) say('   🔒 Encrypted to the agent — the response will be encrypted to you');
+  say();
 
-  // Get UTXOs
-  const utxos = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${address.toString()}/unspent`);
-  if (!utxos || utxos.length === 0) { console.error('❌ No UTXOs'); process.exit(1); }
-
-  const tx = new bsv.Transaction();
-  let totalIn = 0;
-
-  for (const utxo of utxos) {
-    tx.addInput(new bsv.Transaction.Input.PublicKeyHash({
-      output: new bsv.Transaction.Output({
-        script: bsv.Script.buildPublicKeyHashOut(address),
-        satoshis: utxo.value,
-      }),
-      prevTxId: utxo.tx_hash,
-      outputIndex: utxo.tx_pos,
-      script: bsv.Script.empty(),
-    }));
-    totalIn += utxo.value;
-    if (totalIn >= SATS + 1000) break;
-  }
+  const pushes = buildJobPushes(prompt, PARAMS, { encryptTo: ENCRYPT ? await agentPublicKey() : null });
 
-  // Output 0: OP_RETURN with JOB
-  const opReturn = new bsv.Script();
-  opReturn.add(bsv.Opcode.OP_FALSE);
-  opReturn.add(bsv.Opcode.OP_RETURN);
-  opReturn.add(Buffer.from('JOB', 'utf8'));
-  opReturn.add(Buffer.from(PROMPT, 'utf8'));
-  tx.addOutput(new bsv.Transaction.Output({ script: opReturn, satoshis: 0 }));
-
-  // Output 1: Payment to agent
-  tx.addOutput(new bsv.Transaction.Output({
-    script: bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(TO)),
-    satoshis: SATS,
-  }));
-
-  // Output 2: Change
-  const fee = 500;
-  const change = totalIn - SATS - fee;
-  if (change > 0) {
-    tx.addOutput(new bsv.Transaction.Output({
-      script: bsv.Script.buildPublicKeyHashOut(address),
-      satoshis: change,
-    }));
+  // Get UTXOs
+  const script = bsv.Script.buildPublicKeyHashOut(address).toHex();
+  const unspent = (await chain.getUnspent(address.toString()))
+    .map(u => ({ txid: u.tx_hash, vout: u.tx_pos, satoshis: u.value, script }));
+  if (unspent.length === 0) throw new Error(`No UTXOs — fund ${address.toString()} first`);
+
+  // Inputs have to cover the payment and the fee for a tx with that many
+  // inputs, an OP_RETURN, the payment and change
+  const dataBytes = pushes.reduce((s, p) => s + (Buffer.isBuffer(p) ? p.length : Buffer.byteLength(p, 'utf8')), 0);
+  const utxos = selectCoins(unspent, n => SATS + estimateFee({
+    inputs: n, dataBytes, pushes: pushes.length, outputs: 2,
+  }), { consolidate: CONSOLIDATE });
+
+  const { tx, keep, fee } = buildDataTx(privKey, utxos, pushes, { payments: [{ to: TO, satoshis: SATS }] });
+  const hex = tx.uncheckedSerialize();
+
+  say(`   Inputs:  ${utxos.length} of ${unspent.length} UTXO(s), ${utxos.reduce((s, u) => s + u.satoshis, 0)} sats`);
+  say(`   Fee:     ${fee} sats (${hex.length / 2} bytes)`);
+  say(`   Change:  ${keep ? `${keep} sats` : 'none (dust goes to the miner)'}`);
+
+  if (DRY_RUN) {
+    say();
+    say('🧪 Dry run — not broadcasting');
+    describeTx(tx);
+    say();
+    say(hex);
+    if (JSON_OUT) console.log(JSON.stringify({ txid: tx.id, fee, size: hex.length / 2, hex }));
+    return;
   }
 
-  // Sign
-  const sighashType = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
-  for (let i = 0; i < tx.inputs.length; i++) {
-    const sig = bsv.Transaction.Sighash.sign(
-      tx, privKey, sighashType,
-      i, tx.inputs[i].output.script, new bsv.crypto.BN(tx.inputs[i].output.satoshis)
-    );
-    const scriptSig = new bsv.Script();
-    scriptSig.add(Buffer.concat([sig.toDER(), Buffer.from([sighashType & 0xff])]));
-    scriptSig.add(pubKey.toBuffer());
-    tx.inputs[i].setScript(scriptSig);
+  say('   Broadcasting...');
+  const txid = await chain.broadcast(hex);
+
+  say();
+  say('═══════════════════════════════════════════════');
+  say('   📤 Job sent!');
+  say(`   TXID:    ${txid}`);
+  say(`   Prompt:  ${promptPreview}`);
+  say(`   Payment: ${SATS} sats`);
+  if (ENCRYPT) say(`   Read the answer with: node send-job.cjs --to ${TO} --result ${txid} --wallet ${WALLET_PATH}`);
+  say(`   https://whatsonchain.com/tx/${txid}`);
+  say('═══════════════════════════════════════════════');
+
+  if (WAIT) {
+    say();
+    await awaitResponse(txid, privKey);
+  } else if (JSON_OUT) {
+    console.log(JSON.stringify({ jobTxid: txid }));
   }
-
-  console.log(`   TX size: ${tx.uncheckedSerialize().length / 2} bytes`);
-  console.log('   Broadcasting...');
-
-  const txid = await wocBroadcast(tx.uncheckedSerialize());
-
-  console.log();
-  console.log('═══════════════════════════════════════════════');
-  console.log('   📤 Job sent!');
-  console.log(`   TXID:    ${txid}`);
-  console.log(`   Prompt:  ${PROMPT}`);
-  console.log(`   Payment: ${SATS} sats`);
-  console.log(`   https://whatsonchain.com/tx/${txid}`);
-  console.log('═══════════════════════════════════════════════');
 }
 
-main().catch(err => { console.error('❌', err.message); process.exit(1); });
+(RESULT_FOR ? showResult() : main()).catch(err => {
+  if (JSON_OUT) console.log(JSON.stringify({ error: err.message }));
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -4,72 +4,267 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
-const https = require('https');
+const { createProvider } = require('./lib/chain.cjs');
+const {
+  JOB_PARAMS, fetchResult, parseRes, parseChunk, parseChats, senderAddress, verifyRes, verifyChat,
+} = require('./lib/protocol.cjs');
+const { loadModels, describeModels } = require('./lib/models.cjs');
+const { openJobStore, TERMINAL_STATES } = require('./lib/jobstore.cjs');
+const { createIndexer } = require('./lib/indexer.cjs');
+const { createUtxoManager } = require('./lib/utxos.cjs');
+const { readSnapshots, renderOpenMetrics, CONTENT_TYPE } = require('./lib/metrics.cjs');
+const { walletInfo } = require('./lib/keystore.cjs');
 
 const PORT = parseInt(process.argv.find((a, i) => process.argv[i - 1] === '--port') || '3008');
 const WALLET_PATH = path.join(__dirname, 'wallet.json');
-const JOBS_PATH = path.join(__dirname, 'jobs.json');
+const JOBS_PATH = path.join(__dirname, 'jobs.journal');
+const LEGACY_JOBS_PATH = path.join(__dirname, 'jobs.json');
+const UTXOS_PATH = path.join(__dirname, 'utxos.json');
+const METRICS_DIR = path.join(__dirname, 'metrics');
+const INDEX_DIR = path.join(__dirname, 'index');
+const INDEX_INTERVAL = parseInt(process.env.INDEX_INTERVAL || '300') * 1000; // 0 = off
+const CHATS_SHOWN = 20;
+
+const chain = createProvider();
+const MODELS = loadModels();
+const store = openJobStore(JOBS_PATH, { importFrom: LEGACY_JOBS_PATH, readOnly: true });
 
 function escapeHtml(s) {
   return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+// Address and public key only — the viewer never unlocks the key
 function loadWallet() {
-  if (!fs.existsSync(WALLET_PATH)) return null;
-  return JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
+  return walletInfo(WALLET_PATH);
+}
+
+function clip(text, n = 100) {
+  return `${escapeHtml(text).slice(0, n)}${(text || '').length > n ? '...' : ''}`;
 }
 
+// Encrypted jobs have no plaintext anywhere on this side — show them as opaque
+function snippet(job, text) {
+  if (job.encrypted) return '<span class="opaque">🔒 encrypted</span>';
+  return clip(text);
+}
+
+// v1 job parameters as a compact line under the prompt
+function paramsLine(job) {
+  const entries = Object.entries(job.params || {});
+  if (!entries.length) return '';
+  const shown = entries.map(([k, v]) => `${escapeHtml(k)}=${escapeHtml(String(v)).slice(0, 40)}`).join(' · ');
+  return `<div class="params">${escapeHtml(job.version || '')} ${shown}</div>`;
+}
+
+// Only reads what the agent appended since the last call
 function loadJobs() {
-  if (!fs.existsSync(JOBS_PATH)) return [];
-  return JSON.parse(fs.readFileSync(JOBS_PATH, 'utf8'));
-}
-
-function httpGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { Accept: 'application/json' } }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(d)); }
-        catch { resolve(null); }
-      });
-    }).on('error', reject);
-  });
+  store.refresh();
+  return store.jobs();
 }
 
-async function getBalance(address) {
+// --- Job queries ---
+
+const JOB_STATUSES = ['success', 'failed', 'hashed', 'pending'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DAY = 24 * 3600 * 1000;
+
+const jobTime = j => j.timestamp || j.updatedAt || j.firstSeenAt || '';
+
+function jobStatus(j) {
+  if (j.resTxid) return 'success';
+  return TERMINAL_STATES.has(j.state) ? 'failed' : 'pending';
+}
+
+// A bare date as `to` means up to the end of that day
+function parseTime(value, name, endOfDay) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`${name} must be a date or ISO timestamp`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? t + DAY : t;
+}
+
+function parseCount(value, name, fallback) {
+  if (!value) return fallback;
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be a whole number`);
+  return parseInt(value);
+}
+
+// URLSearchParams → query; throws on anything it can't make sense of
+function parseJobQuery(params) {
+  const status = params.get('status') || null;
+  if (status && !JOB_STATUSES.includes(status)) throw new Error(`status must be one of ${JOB_STATUSES.join(', ')}`);
+  const from = params.get('from') || '';
+  const to = params.get('to') || '';
+  return {
+    page: Math.max(1, parseCount(params.get('page'), 'page', 1)),
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseCount(params.get('limit'), 'limit', DEFAULT_PAGE_SIZE))),
+    from,
+    to,
+    range: { from: parseTime(from, 'from', false), to: parseTime(to, 'to', true) },
+    status,
+    minSats: parseCount(params.get('minSats'), 'minSats', 0),
+    q: (params.get('q') || '').trim(),
+  };
+}
+
+// Newest first → { jobs (this page), total (matching), page, limit, pages }
+function queryJobs(all, query) {
+  const q = query.q.toLowerCase();
+  const matching = all.filter(j => {
+    const t = Date.parse(jobTime(j));
+    if (query.range.from !== null && !(t >= query.range.from)) return false;
+    if (query.range.to !== null && !(t < query.range.to)) return false;
+    if (query.status === 'hashed' ? !j.isHashed : query.status && jobStatus(j) !== query.status) return false;
+    if ((j.satsReceived || 0) < query.minSats) return false;
+    // Encrypted jobs have nothing to search
+    if (q && (j.encrypted || ![j.prompt, j.result].some(text => (text || '').toLowerCase().includes(q)))) return false;
+    return true;
+  }).reverse();
+  const pages = Math.max(1, Math.ceil(matching.length / query.limit));
+  const start = (query.page - 1) * query.limit;
+  return { jobs: matching.slice(start, start + query.limit), total: matching.length, page: query.page, limit: query.limit, pages };
+}
+
+// The query back as URL parameters, minus defaults
+function queryString(query, changes = {}) {
+  const q = { ...query, ...changes };
+  const params = new URLSearchParams();
+  if (q.q) params.set('q', q.q);
+  if (q.status) params.set('status', q.status);
+  if (q.minSats) params.set('minSats', q.minSats);
+  if (q.from) params.set('from', q.from);
+  if (q.to) params.set('to', q.to);
+  if (q.limit !== DEFAULT_PAGE_SIZE) params.set('limit', q.limit);
+  if (q.page > 1) params.set('page', q.page);
+  const s = params.toString();
+  return s ? `?${s}` : '';
+}
+
+// --- Chain index ---
+// Web chats are only on-chain, and so is the history of jobs this machine's
+// store never saw; the viewer keeps an index of its wallet's address for them
+let indexer = null;
+let indexing = false;
+
+function chainIndex() {
+  const wallet = loadWallet();
+  if (!wallet) return null;
+  if (!indexer || indexer.index().address !== wallet.address) {
+    fs.mkdirSync(INDEX_DIR, { recursive: true });
+    indexer = createIndexer({ chain, address: wallet.address, file: path.join(INDEX_DIR, `${wallet.address}.json`) });
+  }
+  return indexer;
+}
+
+async function syncIndex() {
+  const idx = chainIndex();
+  if (!idx || indexing) return;
+  indexing = true;
   try {
-    const bal = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${address}/balance`);
-    return bal ? (bal.confirmed + bal.unconfirmed) : 0;
-  } catch { return 0; }
+    await idx.sync();
+  } catch (err) {
+    console.log(`⚠️  Index sync failed: ${err.message}`);
+  } finally {
+    indexing = false;
+  }
 }
 
-function renderHTML(wallet, jobs, balance) {
-  const totalEarned = jobs.reduce((s, j) => s + (j.satsKept || 0), 0);
-  const totalReceived = jobs.reduce((s, j) => s + (j.satsReceived || 0), 0);
-  const successCount = jobs.filter(j => j.resTxid).length;
-  const failCount = jobs.filter(j => !j.resTxid).length;
+// Newest first, same paging as jobs; q searches prompt and reply
+function queryChats(all, query) {
+  const q = query.q.toLowerCase();
+  const matching = all.filter(c => {
+    const t = Date.parse(c.timestamp);
+    if (query.range.from !== null && !(t >= query.range.from)) return false;
+    if (query.range.to !== null && !(t < query.range.to)) return false;
+    return !q || [c.prompt, c.reply].some(text => text.toLowerCase().includes(q));
+  }).reverse();
+  const pages = Math.max(1, Math.ceil(matching.length / query.limit));
+  const start = (query.page - 1) * query.limit;
+  return { chats: matching.slice(start, start + query.limit), total: matching.length, page: query.page, limit: query.limit, pages };
+}
 
-  const jobRows = [...jobs].reverse().map(j => `
-    <tr>
-      <td class="ts">${new Date(j.timestamp).toLocaleString()}</td>
-      <td><a href="https://whatsonchain.com/tx/${j.jobTxid}" target="_blank" class="txid">${j.jobTxid.slice(0, 12)}...</a></td>
-      <td class="prompt">${escapeHtml(j.prompt).slice(0, 100)}${j.prompt.length > 100 ? '...' : ''}</td>
-      <td class="result">${escapeHtml(j.result).slice(0, 100)}${(j.result || '').length > 100 ? '...' : ''}</td>
-      <td class="sats">${(j.satsReceived || 0).toLocaleString()}</td>
-      <td>${j.resTxid
-        ? `<a href="https://whatsonchain.com/tx/${j.resTxid}" target="_blank" class="txid">${j.resTxid.slice(0, 12)}...</a>`
-        : `<span class="error">❌ ${escapeHtml(j.error || 'failed').slice(0, 30)}</span>`}</td>
-    </tr>`).join('');
+// --- Metrics ---
+// What agent.cjs and web.cjs snapshot, plus the wallet as the shared coin
+// set sees it — no chain calls per scrape
+function renderMetrics() {
+  const snapshots = readSnapshots(METRICS_DIR);
+  const now = Date.now();
+  const extra = {
+    bsv_metrics_snapshot_age_seconds: {
+      type: 'gauge',
+      help: 'Seconds since each process last wrote its metrics',
+      series: snapshots.map(s => ({ labels: { source: s.source }, value: (now - Date.parse(s.updatedAt)) / 1000 })),
+    },
+  };
+  const wallet = loadWallet();
+  if (wallet) {
+    const coins = createUtxoManager({ file: UTXOS_PATH, address: wallet.address, chain }).stats();
+    const gauge = (help, value) => ({ type: 'gauge', help, series: [{ labels: {}, value }] });
+    extra.bsv_wallet_balance_sats = gauge('Spendable sats in the wallet, unconfirmed change included', coins.balance);
+    extra.bsv_wallet_utxos = gauge('Spendable coins in the wallet', coins.coins);
+    extra.bsv_wallet_utxos_unconfirmed = gauge('Wallet coins not yet in a block', coins.unconfirmed);
+    extra.bsv_wallet_utxos_reserved = gauge('Wallet coins reserved by a tx being built', coins.reserved);
+  }
+  return renderOpenMetrics(snapshots, extra);
+}
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-<title>🦞 BSV Agent</title>
-<meta charset="utf-8">
-<meta name="viewport" content="width=device-width, initial-scale=1">
-<meta http-equiv="refresh" content="15">
-<style>
+// --- Verification ---
+// Chunks of a chunked result: from the job store or the index when they know
+// the txids, from the agent's history otherwise
+async function chunksFor(jobTxid, address) {
+  store.refresh();
+  const known = store.get(jobTxid) || (chainIndex() && chainIndex().jobs().find(j => j.jobTxid === jobTxid));
+  // Only chunks the agent signed count, the first one per index
+  const chunks = [];
+  const add = tx => {
+    const c = tx && senderAddress(tx) === address && parseChunk(tx);
+    if (c && c.jobTxid === jobTxid && !chunks.some(o => o.index === c.index)) chunks.push(c);
+  };
+  if (known && known.chunkTxids) {
+    for (const txid of known.chunkTxids) add(await chain.getTx(txid));
+    return chunks;
+  }
+  for (const entry of await chain.getHistory(address)) add(await chain.getTx(entry.tx_hash));
+  return chunks;
+}
+
+// Checks a RES/ERES or CHAT tx against the agent's address: that the agent
+// spent it, that each signature is the agent's, and that a hashed result's
+// chunks add up. null when there's no such tx.
+async function verifyTx(txid, address) {
+  const tx = await chain.getTx(txid);
+  if (!tx) return null;
+  const out = { txid, address, spentByAgent: senderAddress(tx) === address, response: null, chats: [] };
+
+  const res = parseRes(tx);
+  if (res) {
+    const chunks = res.hash ? await chunksFor(res.jobTxid, address) : [];
+    out.response = {
+      jobTxid: res.jobTxid,
+      encrypted: res.encrypted,
+      chunked: !!res.hash,
+      chunkCount: res.chunkCount,
+      chunksFound: res.hash ? new Set(chunks.filter(c => c.jobTxid === res.jobTxid).map(c => c.index)).size : 0,
+      ...verifyRes(res, address, chunks),
+    };
+  }
+  out.chats = parseChats(tx).map(c => ({ vout: c.vout, prompt: c.prompt, reply: c.reply, ...verifyChat(c, address) }));
+
+  const checks = [out.response, ...out.chats].filter(Boolean);
+  out.verified = out.spentByAgent && checks.length > 0
+    && checks.every(c => c.signatureValid && c.contentValid !== false);
+  return out;
+}
+
+async function getBalance(address) {
+  try {
+    const bal = await chain.getBalance(address);
+    return bal.confirmed + bal.unconfirmed;
+  } catch { return 0; }
+}
+
+const STYLE = `
   * { margin: 0; padding: 0; box-sizing: border-box; }
   body {
     font-family: 'SF Mono', 'Fira Code', monospace;
@@ -109,14 +304,75 @@ function renderHTML(wallet, jobs, balance) {
   .prompt { color: #a78bfa; max-width: 250px; }
   .result { color: #d1d5db; max-width: 250px; }
   .error { color: #f87171; font-size: 12px; }
+  .pending { color: #f5a623; font-size: 12px; }
+  .opaque { color: #666; font-style: italic; }
+  .params { color: #666; font-size: 11px; margin-top: 4px; }
   .how-to {
     background: #141414; border: 1px solid #222; border-radius: 8px;
     padding: 20px 24px; margin-top: 32px; font-size: 13px; color: #888;
   }
   .how-to h3 { color: #fff; font-size: 14px; margin-bottom: 8px; }
   .how-to code { color: #4ade80; background: #1a2a1a; padding: 2px 6px; border-radius: 4px; }
+  .plain { color: inherit; text-decoration: none; }
+  .plain:hover { text-decoration: underline; }
+  .filters { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 16px; font-size: 12px; color: #666; }
+  .filters input, .filters select, .filters button {
+    background: #141414; color: #e0e0e0; border: 1px solid #333; border-radius: 6px;
+    padding: 6px 10px; font-family: inherit; font-size: 12px;
+  }
+  .filters input[type=search] { min-width: 220px; }
+  .filters input[type=number] { width: 110px; }
+  .filters button { cursor: pointer; color: #4a9eff; }
+  .filters a { color: #666; }
+  .pager { display: flex; gap: 16px; justify-content: space-between; margin-top: 12px; font-size: 12px; color: #666; }
+  .pager a { color: #4a9eff; text-decoration: none; }
   .footer { margin-top: 24px; color: #333; font-size: 11px; }
-</style>
+  .back { color: #4a9eff; text-decoration: none; font-size: 13px; display: inline-block; margin-bottom: 16px; }
+  .detail { display: grid; grid-template-columns: 160px 1fr; gap: 8px 16px; font-size: 13px; margin-bottom: 24px; }
+  .detail dt { color: #666; font-size: 11px; text-transform: uppercase; letter-spacing: 1px; padding-top: 2px; }
+  .detail dd { word-break: break-all; }
+  pre.full {
+    background: #141414; border: 1px solid #222; border-radius: 8px; padding: 16px;
+    white-space: pre-wrap; word-break: break-word; font-family: inherit; font-size: 13px; margin-bottom: 24px;
+  }
+  pre.full.prompt { color: #a78bfa; max-width: none; }
+  pre.full.result { color: #d1d5db; max-width: none; }
+`;
+
+function renderHTML(wallet, jobs, balance, query, chats) {
+  const totalEarned = jobs.reduce((s, j) => s + (j.satsKept || 0), 0);
+  const totalReceived = jobs.reduce((s, j) => s + (j.satsReceived || 0), 0);
+  const successCount = jobs.filter(j => j.resTxid).length;
+  const failCount = jobs.filter(j => j.state === 'failed').length;
+  const refundCount = jobs.filter(j => j.rejected).length;
+
+  const page = queryJobs(jobs, query);
+  const filtered = page.total !== jobs.length;
+  const jobRows = page.jobs.map(j => `
+    <tr>
+      <td class="ts">${new Date(j.timestamp || j.updatedAt).toLocaleString()}</td>
+      <td><a href="https://whatsonchain.com/tx/${j.jobTxid}" target="_blank" class="txid">${j.jobTxid.slice(0, 12)}...</a></td>
+      <td class="prompt"><a href="/job/${j.jobTxid}" class="plain">${snippet(j, j.prompt)}</a>${paramsLine(j)}${j.model ? `<div class="params">🧠 ${escapeHtml(j.model)}</div>` : ''}</td>
+      <td class="result"><a href="/job/${j.jobTxid}" class="plain">${snippet(j, j.result)}</a>${j.isHashed
+        ? ` <a href="/api/result/${j.jobTxid}" target="_blank" class="txid">🧩 ${(j.chunkTxids || []).length} chunks</a>` : ''}</td>
+      <td class="sats">${(j.satsReceived || 0).toLocaleString()}</td>
+      <td>${j.resTxid
+        ? `<a href="https://whatsonchain.com/tx/${j.resTxid}" target="_blank" class="txid">${j.resTxid.slice(0, 12)}...</a>`
+        : j.refundTxid
+          ? `<a href="https://whatsonchain.com/tx/${j.refundTxid}" target="_blank" class="txid">↩️ ${j.refundTxid.slice(0, 12)}...</a><br><span class="error">${escapeHtml(j.rejected).slice(0, 40)}</span>`
+          : TERMINAL_STATES.has(j.state)
+            ? `<span class="error">❌ ${escapeHtml(j.rejected || j.error || 'failed').slice(0, 40)}</span>`
+            : `<span class="pending">⏳ ${escapeHtml(j.state)}</span>`}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>🦞 BSV Agent</title>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+${STYLE}</style>
 </head>
 <body>
   <h1>🦞 BSV Agent</h1>
@@ -125,8 +381,10 @@ function renderHTML(wallet, jobs, balance) {
   <div class="address">
     <label>Service Address</label>
     <code>${wallet ? wallet.address : 'Not running'}</code>
+    ${wallet ? `<label style="margin-top:8px">Public Key (for encrypted jobs)</label><code style="font-size:12px">${wallet.publicKey}</code>` : ''}
   </div>
 
+  <div id="live">
   <div class="stats">
     <div class="stat">
       <div class="stat-label">Balance (Trust Score)</div>
@@ -144,6 +402,10 @@ function renderHTML(wallet, jobs, balance) {
       <div class="stat-label">Total Received</div>
       <div class="stat-value sats">${totalReceived.toLocaleString()} sats</div>
     </div>
+    <div class="stat">
+      <div class="stat-label">Refunded</div>
+      <div class="stat-value">${refundCount}</div>
+    </div>
     <div class="stat">
       <div class="stat-label">Failed</div>
       <div class="stat-value">${failCount}</div>
@@ -151,6 +413,18 @@ function renderHTML(wallet, jobs, balance) {
   </div>
 
   <h2>📋 Job History</h2>
+  <form class="filters" method="get" action="/">
+    <input type="search" name="q" placeholder="Search prompts and results" value="${escapeHtml(query.q)}">
+    <select name="status">
+      <option value="">Any status</option>
+      ${JOB_STATUSES.map(s => `<option value="${s}"${query.status === s ? ' selected' : ''}>${s}</option>`).join('')}
+    </select>
+    <label>From <input type="date" name="from" value="${escapeHtml(query.from)}"></label>
+    <label>To <input type="date" name="to" value="${escapeHtml(query.to)}"></label>
+    <input type="number" name="minSats" min="0" placeholder="Min sats" value="${query.minSats || ''}">
+    <button type="submit">Filter</button>
+    ${filtered ? '<a href="/">clear</a>' : ''}
+  </form>
   <table>
     <thead>
       <tr>
@@ -158,39 +432,318 @@ function renderHTML(wallet, jobs, balance) {
       </tr>
     </thead>
     <tbody>
-      ${jobRows || '<tr><td colspan="6" style="text-align:center;color:#666;padding:40px">No jobs yet. Send a transaction to get started.</td></tr>'}
+      ${jobRows || `<tr><td colspan="6" style="text-align:center;color:#666;padding:40px">${jobs.length
+        ? 'No jobs match these filters.' : 'No jobs yet. Send a transaction to get started.'}</td></tr>`}
+    </tbody>
+  </table>
+  <div class="pager">
+    <span>${page.total.toLocaleString()} job${page.total === 1 ? '' : 's'}${filtered ? ' matching' : ''} · page ${page.page} of ${page.pages}</span>
+    <span>
+      ${page.page > 1 ? `<a href="/${queryString(query, { page: page.page - 1 })}">← newer</a>` : ''}
+      ${page.page < page.pages ? `<a href="/${queryString(query, { page: page.page + 1 })}">older →</a>` : ''}
+    </span>
+  </div>
+
+  <h2 style="margin-top:32px">💬 Web Chats</h2>
+  <table>
+    <thead>
+      <tr><th>Time</th><th>Chat TX</th><th>Prompt</th><th>Reply</th></tr>
+    </thead>
+    <tbody>
+      ${chats.slice(-CHATS_SHOWN).reverse().map(c => `
+    <tr>
+      <td class="ts">${new Date(c.timestamp).toLocaleString()}</td>
+      <td><a href="https://whatsonchain.com/tx/${c.txid}" target="_blank" class="txid">${c.txid.slice(0, 12)}...:${c.vout}</a>
+        <a href="/verify/${c.txid}" class="plain" title="Verify signature">🔏</a></td>
+      <td class="prompt">${clip(c.prompt, 200)}</td>
+      <td class="result">${clip(c.reply, 200)}</td>
+    </tr>`).join('') || '<tr><td colspan="4" style="text-align:center;color:#666;padding:40px">No chats on-chain yet.</td></tr>'}
     </tbody>
   </table>
+  ${chats.length > CHATS_SHOWN ? `<div class="pager"><span>${chats.length.toLocaleString()} chats on-chain</span>
+    <a href="/api/chats">all of them →</a></div>` : ''}
+  </div>
 
   <div class="how-to">
     <h3>How to use BSV Agent</h3>
     <p>Send a BSV transaction to <code>${wallet ? wallet.address : '...'}</code> with:</p>
     <p style="margin-top:8px">• An <code>OP_RETURN</code> output containing: <code>JOB</code> followed by your prompt text</p>
-    <p>• A payment output to the address above (any amount — more sats = you're supporting BSV Agent)</p>
+    <p>• Optionally, <code>JOB</code> <code>v1</code> <code>&lt;prompt&gt;</code> followed by parameter pairs:
+      ${JOB_PARAMS.map(k => `<code>${k}</code>`).join(' ')}. A <code>nonce</code> is echoed back in the response.</p>
+    <p>• A payment output to the address above. More sats buy a longer answer — and, unless the job names a <code>model</code>, a bigger model:</p>
+    ${describeModels(MODELS).map(line => `<p style="margin-left:16px">${escapeHtml(line)}</p>`).join('')}
+    <p>• Underpaid, empty or malformed jobs are refunded to your input address with <code>REFUND</code> <code>&lt;job txid&gt;</code> <code>&lt;reason&gt;</code></p>
     <p style="margin-top:8px">BSV Agent will spend your UTXO and broadcast a response transaction with:</p>
     <p>• <code>OP_RETURN</code>: <code>RES</code> <code>&lt;your job txid&gt;</code> <code>&lt;result&gt;</code></p>
+    <p style="margin-top:8px">Results over 50KB are sent as <code>RES</code> <code>&lt;job txid&gt;</code> <code>HASH:&lt;sha256&gt;</code> <code>chunks</code> <code>&lt;n&gt;</code>,
+      followed by <code>CHUNK</code> <code>&lt;job txid&gt;</code> <code>&lt;index&gt;</code> <code>&lt;bytes&gt;</code> transactions.</p>
+    <p style="margin-top:8px">Responses and chats end in <code>sig</code> <code>&lt;signature&gt;</code>: a Bitcoin Signed Message by the address above over
+      <code>RES &lt;job txid&gt; &lt;sha256 of the result&gt;</code> (or <code>CHAT &lt;sha256 of prompt&gt; &lt;sha256 of reply&gt;</code>).
+      Check one at <code>/verify/&lt;txid&gt;</code>.</p>
+    <p style="margin-top:8px">For a private job, send <code>EJOB</code> <code>&lt;prompt ECIES-encrypted to the public key above&gt;</code> instead.
+      The answer comes back as <code>ERES</code>, encrypted to the public key that signed your first input —
+      <code>node send-job.cjs --encrypt</code> does both ends.</p>
   </div>
 
   <div class="footer">BSV Agent · Trust = Balance · ${new Date().toISOString()}</div>
+<script>
+  // Keeps stats and the current page fresh without reloading under the filter form
+  setInterval(async () => {
+    if (document.hidden || document.activeElement.closest('.filters')) return;
+    try {
+      const html = await (await fetch(location.href)).text();
+      const live = new DOMParser().parseFromString(html, 'text/html').getElementById('live');
+      if (live) document.getElementById('live').replaceWith(live);
+    } catch {}
+  }, 15000);
+</script>
+</body>
+</html>`;
+}
+
+const txLink = txid => `<a href="https://whatsonchain.com/tx/${txid}" target="_blank" class="txid">${txid}</a>`;
+
+// One job in full — prompt and result untruncated
+function renderJob(job) {
+  const status = jobStatus(job);
+  const rows = [
+    ['Job TX', txLink(job.jobTxid)],
+    ['Status', status === 'success' ? '✅ success'
+      : job.refundTxid ? '<span class="error">↩️ refunded</span>'
+      : status === 'failed' ? `<span class="error">❌ ${escapeHtml(job.state)}</span>`
+      : `<span class="pending">⏳ ${escapeHtml(job.state)}</span>`],
+    ['Time', escapeHtml(new Date(jobTime(job)).toLocaleString())],
+    ['Sats', `<span class="sats">${(job.satsReceived || 0).toLocaleString()}</span> received · ${(job.satsKept || 0).toLocaleString()} kept`],
+    job.model && ['Model', `🧠 ${escapeHtml(job.model)}${job.maxTokens ? ` · up to ${job.maxTokens} tokens` : ''}`],
+    Object.keys(job.params || {}).length && ['Parameters', paramsLine(job)],
+    job.sender && ['Sender', `<code>${escapeHtml(job.sender)}</code>`],
+    job.resTxid && ['Response TX', `${txLink(job.resTxid)}<br>
+      <a href="/verify/${job.resTxid}" class="txid">🔏 verify signature</a>`],
+    job.isHashed && ['Chunks', `${(job.chunkTxids || []).map(txLink).join('<br>')}<br>
+      <a href="/api/result/${job.jobTxid}" target="_blank" class="txid">🧩 reassemble from chain</a>`],
+    job.resultHash && ['Result SHA-256', `<code>${escapeHtml(job.resultHash)}</code>`],
+    job.refundTxid && ['Refund TX', txLink(job.refundTxid)],
+    job.rejected && ['Rejected', `<span class="error">${escapeHtml(job.rejected)}</span>`],
+    job.error && ['Error', `<span class="error">${escapeHtml(job.error)}</span>`],
+  ].filter(Boolean);
+
+  const body = text => job.encrypted
+    ? '<span class="opaque">🔒 encrypted — only the requester can read this</span>'
+    : text ? escapeHtml(text) : '<span class="opaque">—</span>';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>🦞 Job ${job.jobTxid.slice(0, 12)}</title>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+${STYLE}</style>
+</head>
+<body>
+  <a href="/" class="back">← all jobs</a>
+  <h1>🦞 Job ${job.jobTxid.slice(0, 12)}...</h1>
+  <div class="tagline">${job.encrypted ? 'Encrypted job' : `${escapeHtml(job.version || 'v0')} job`}</div>
+
+  <dl class="detail">
+    ${rows.map(([k, v]) => `<dt>${k}</dt><dd>${v}</dd>`).join('\n    ')}
+  </dl>
+
+  <h2>Prompt</h2>
+  <pre class="full prompt">${body(job.prompt)}</pre>
+
+  <h2>Response</h2>
+  <pre class="full result">${body(job.result)}</pre>
+
+  <div class="footer">BSV Agent · ${new Date().toISOString()}</div>
+</body>
+</html>`;
+}
+
+// The outcome of verifyTx as a page
+function renderVerify(v) {
+  const mark = (ok, yes, no) => (ok ? `✅ ${yes}` : `<span class="error">❌ ${no}</span>`);
+  const signature = c => (!c.signed
+    ? '<span class="pending">— unsigned (sent before signing)</span>'
+    : mark(c.signatureValid, 'signed by the agent', 'signature does not match the agent\'s address'));
+  const rows = [
+    ['TX', txLink(v.txid)],
+    ['Agent', `<code>${escapeHtml(v.address)}</code>`],
+    ['Verdict', mark(v.verified, 'verified', 'not verified')],
+    ['Spent by agent', mark(v.spentByAgent, 'first input signed by the agent', 'first input not signed by the agent')],
+  ];
+  const r = v.response;
+  if (r) {
+    rows.push(
+      ['Response to', `<a href="/job/${r.jobTxid}" class="txid">${r.jobTxid}</a>`],
+      ['Kind', `${r.encrypted ? 'ERES 🔒' : 'RES'}${r.chunked ? ` · ${r.chunkCount} chunk(s), ${r.chunksFound} found` : ''}`],
+      ['Result SHA-256', `<code>${escapeHtml(r.hash)}</code>`],
+      ['Signature', signature(r)],
+    );
+    if (r.chunked) rows.push(['Content', mark(r.contentValid, 'chunks match the hash', escapeHtml(r.error))]);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>🔏 Verify ${v.txid.slice(0, 12)}</title>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+${STYLE}</style>
+</head>
+<body>
+  <a href="/" class="back">← all jobs</a>
+  <h1>🔏 Verify ${v.txid.slice(0, 12)}...</h1>
+  <div class="tagline">Checked against the chain, not the job store · <a href="/api/verify/${v.txid}?address=${escapeHtml(encodeURIComponent(v.address))}" class="plain">JSON</a></div>
+
+  <dl class="detail">
+    ${rows.map(([k, val]) => `<dt>${k}</dt><dd>${val}</dd>`).join('\n    ')}
+  </dl>
+  ${v.chats.length ? `
+  <h2>Chats</h2>
+  <table>
+    <thead>
+      <tr><th>Output</th><th>Prompt</th><th>Reply</th><th>Signature</th></tr>
+    </thead>
+    <tbody>
+      ${v.chats.map(c => `
+    <tr>
+      <td class="ts">${c.vout}</td>
+      <td class="prompt">${clip(c.prompt, 200)}</td>
+      <td class="result">${clip(c.reply, 200)}</td>
+      <td>${signature(c)}</td>
+    </tr>`).join('')}
+    </tbody>
+  </table>` : ''}
+  ${!r && !v.chats.length ? '<p class="opaque">No RES, ERES or CHAT in this tx — nothing signed to check.</p>' : ''}
+
+  <div class="footer">BSV Agent · ${new Date().toISOString()}</div>
 </body>
 </html>`;
 }
 
 const server = http.createServer(async (req, res) => {
-  if (req.url === '/api/jobs') {
-    const jobs = loadJobs();
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/api/jobs') {
+    let query;
+    try {
+      query = parseJobQuery(url.searchParams);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
+    // Signed tx hex is the agent's business, not the API's
+    const { jobs, ...page } = queryJobs(loadJobs(), query);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...page, jobs: jobs.map(({ txs, ...job }) => job) }, null, 2));
+    return;
+  }
+
+  const jobMatch = url.pathname.match(/^\/job\/([0-9a-f]{64})$/);
+  if (jobMatch) {
+    store.refresh();
+    let job = store.get(jobMatch[1]);
+    // Jobs this machine never handled may still be in the chain index
+    if (!job || job.state === 'skipped') {
+      const found = chainIndex() && chainIndex().jobs().find(j => j.jobTxid === jobMatch[1]);
+      job = found && { ...found, state: found.resTxid || found.refundTxid ? 'confirmed' : 'unanswered' };
+    }
+    if (!job) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<!DOCTYPE html><meta charset="utf-8"><title>Not found</title><p>No such job. <a href="/">All jobs</a></p>');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(renderJob(job));
+    return;
+  }
+
+  if (url.pathname === '/api/chats') {
+    let query;
+    try {
+      query = parseJobQuery(url.searchParams);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+      return;
+    }
+    const idx = chainIndex();
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(jobs, null, 2));
+    res.end(JSON.stringify({ indexedAt: idx ? idx.index().updatedAt : null, ...queryChats(idx ? idx.chats() : [], query) }, null, 2));
+    return;
+  }
+
+  const resultMatch = url.pathname.match(/^\/api\/result\/([0-9a-f]{64})$/);
+  if (resultMatch) {
+    const jobTxid = resultMatch[1];
+    const wallet = loadWallet();
+    store.refresh();
+    const job = store.get(jobTxid);
+    try {
+      const found = wallet && await fetchResult(chain, wallet.address, jobTxid, {
+        resTxid: job?.resTxid,
+        chunkTxids: job?.chunkTxids,
+      });
+      if (!found) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No response found' }));
+        return;
+      }
+      // Chunks that don't match their hash throw above; what's left is
+      // whether the agent signed the response
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jobTxid, ...found, verified: found.signature === 'valid' }, null, 2));
+    } catch (err) {
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jobTxid, verified: false, error: err.message }, null, 2));
+    }
+    return;
+  }
+
+  // ?address= checks against another agent; this wallet's otherwise
+  const verifyMatch = url.pathname.match(/^\/(api\/)?verify\/([0-9a-f]{64})$/);
+  if (verifyMatch) {
+    const json = !!verifyMatch[1];
+    const wallet = loadWallet();
+    const address = url.searchParams.get('address') || (wallet && wallet.address);
+    let v = null;
+    try {
+      v = address && await verifyTx(verifyMatch[2], address);
+    } catch (err) {
+      res.writeHead(502, { 'Content-Type': json ? 'application/json' : 'text/html' });
+      res.end(json ? JSON.stringify({ txid: verifyMatch[2], error: err.message }, null, 2)
+        : `<!DOCTYPE html><meta charset="utf-8"><title>Chain error</title><p>Could not check the tx: ${escapeHtml(err.message)}. <a href="/">All jobs</a></p>`);
+      return;
+    }
+    if (!v) {
+      const error = address ? 'Transaction not found' : 'No wallet.json — pass ?address=<agent-address>';
+      res.writeHead(404, { 'Content-Type': json ? 'application/json' : 'text/html' });
+      res.end(json ? JSON.stringify({ error })
+        : `<!DOCTYPE html><meta charset="utf-8"><title>Not found</title><p>${escapeHtml(error)}. <a href="/">All jobs</a></p>`);
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': json ? 'application/json' : 'text/html' });
+    res.end(json ? JSON.stringify(v, null, 2) : renderVerify(v));
     return;
   }
 
-  if (req.url === '/api/status') {
+  if (url.pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    res.end(renderMetrics());
+    return;
+  }
+
+  if (url.pathname === '/api/status') {
     const wallet = loadWallet();
     const balance = wallet ? await getBalance(wallet.address) : 0;
     const jobs = loadJobs();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       address: wallet?.address,
+      publicKey: wallet?.publicKey,
       balance,
       jobsCompleted: jobs.filter(j => j.resTxid).length,
       totalEarned: jobs.reduce((s, j) => s + (j.satsKept || 0), 0),
@@ -198,14 +751,25 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Bad filters on the dashboard just fall back to none
+  let query;
+  try { query = parseJobQuery(url.searchParams); } catch { query = parseJobQuery(new URLSearchParams()); }
   const wallet = loadWallet();
   const balance = wallet ? await getBalance(wallet.address) : 0;
   const jobs = loadJobs();
-  const html = renderHTML(wallet, jobs, balance);
+  const idx = chainIndex();
+  const html = renderHTML(wallet, jobs, balance, query, idx ? idx.chats() : []);
   res.writeHead(200, { 'Content-Type': 'text/html' });
   res.end(html);
 });
 
+// A plaintext key in production stops the viewer here, like the agent and web
+loadWallet();
+
 server.listen(PORT, () => {
   console.log(`🦞 BSV Agent Viewer running at http://localhost:${PORT}`);
+  if (INDEX_INTERVAL) {
+    syncIndex();
+    setInterval(syncIndex, INDEX_INTERVAL);
+  }
 });
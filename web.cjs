@@ -4,23 +4,79 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
-const https = require('https');
 const crypto = require('crypto');
+const { httpPost, httpStream } = require('./lib/http.cjs');
+const { createProvider, broadcastErrorType } = require('./lib/chain.cjs');
+const { buildDataTx, estimateFee, DUST_LIMIT } = require('./lib/tx.cjs');
+const { createUtxoManager, RECONCILE_INTERVAL } = require('./lib/utxos.cjs');
+const { loadModels, findModel } = require('./lib/models.cjs');
+const { loadSecret, createSessions } = require('./lib/sessions.cjs');
+const { openConversations, DEFAULT_TITLE } = require('./lib/conversations.cjs');
+const { createGovernor } = require('./lib/governor.cjs');
+const { loadScreenPolicy, screenChat } = require('./lib/screen.cjs');
+const { planContext, buildMessages, summaryMessages, REPLY_RESERVE, SUMMARY_TOKENS, CHARS_PER_TOKEN } = require('./lib/context.cjs');
+const { createPostQueue } = require('./lib/posts.cjs');
+const { buildChatPushes } = require('./lib/protocol.cjs');
+const { createMetrics } = require('./lib/metrics.cjs');
+const { walletInfo, unlockWallet } = require('./lib/keystore.cjs');
 
 // --- Config ---
 const PORT = parseInt(process.env.WEB_PORT || '3009');
 const WALLET_PATH = path.join(__dirname, 'wallet.json');
+const UTXOS_PATH = path.join(__dirname, 'utxos.json');
 const CONVERSATIONS_DIR = path.join(__dirname, 'conversations');
-const CONTEXT_LIMIT = 10;
+const SESSION_SECRET_PATH = path.join(__dirname, 'session-secret');
+const SCREEN_KEY_PATH = path.join(__dirname, 'screen-hash-key');
+const BUDGET_PATH = path.join(__dirname, 'budget.json');
+const POSTS_PATH = path.join(__dirname, 'posts.json');
+const METRICS_DIR = path.join(__dirname, 'metrics');
+const LLM_TIMEOUT = 120000; // ms
+// Batching: chats wait up to CHAT_BATCH_WINDOW ms (0 = off) to share a tx
+// with others, at most CHAT_BATCH_MAX of them and CHAT_BATCH_BYTES of data
+const CHAT_BATCH_WINDOW = parseInt(process.env.CHAT_BATCH_WINDOW || '0');
+const CHAT_BATCH_MAX = parseInt(process.env.CHAT_BATCH_MAX || '20');
+const CHAT_BATCH_BYTES = parseInt(process.env.CHAT_BATCH_BYTES || '50000');
 const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const MODEL = process.env.MODEL || 'qwen3:8b';
-const FEE_RATE = 1; // sats per byte
-const MIN_FEE = 300;
-
-const wallet = JSON.parse(fs.readFileSync(WALLET_PATH, 'utf8'));
+// Chats run on the default model of models.json (or MODEL without one), with
+// its context window
+const MODELS = loadModels();
+const MODEL = MODELS.default;
+const CONTEXT_TOKENS = findModel(MODELS, MODEL).contextTokens;
+// Only behind a reverse proxy are X-Forwarded-For / X-Real-IP the client's own
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+// Mark the session cookie Secure when served over https
+const COOKIE_SECURE = process.env.COOKIE_SECURE === '1';
+// What happens to personal data and secrets before a chat goes on-chain
+const SCREEN_POLICY = loadScreenPolicy(process.env, { keyFile: SCREEN_KEY_PATH });
+
+// The address is public; the key is unlocked once, before the server starts
+const wallet = walletInfo(WALLET_PATH);
+if (!wallet) throw new Error(`No ${WALLET_PATH} — run agent.cjs once to create it`);
 const AGENT_ADDRESS = wallet.address;
+let privKey = null;
+const chain = createProvider();
+const utxoSet = createUtxoManager({ file: UTXOS_PATH, address: AGENT_ADDRESS, chain });
+
+const conversations = openConversations(CONVERSATIONS_DIR);
+const sessions = createSessions({ secret: loadSecret(SESSION_SECRET_PATH), secure: COOKIE_SECURE });
+const governor = createGovernor({
+  file: BUDGET_PATH,
+  getBalance: async () => {
+    const b = await chain.getBalance(AGENT_ADDRESS);
+    return b.confirmed + b.unconfirmed;
+  },
+});
 
-if (!fs.existsSync(CONVERSATIONS_DIR)) fs.mkdirSync(CONVERSATIONS_DIR, { recursive: true });
+// --- Metrics ---
+// Snapshotted to metrics/web.json; viewer.cjs serves them at /metrics
+const metrics = createMetrics({ source: 'web', dir: METRICS_DIR });
+const chatsTotal = metrics.counter('bsv_chats', 'Web chats answered, by what became of them');
+const chatsRefused = metrics.counter('bsv_chats_refused', 'Web chats turned away by the rate limits or the budget');
+const chatPosts = metrics.counter('bsv_chat_posts', 'Chat posts reaching broadcast, confirmed or failed');
+const llmSeconds = metrics.histogram('bsv_llm_duration_seconds', 'Time for the LLM to answer, by model');
+const llmErrors = metrics.counter('bsv_llm_errors', 'LLM calls that failed, by model');
+const broadcastFailures = metrics.counter('bsv_broadcast_failures', 'Broadcasts the network refused, by error type');
+const feesSpent = metrics.counter('bsv_fees_spent_sats', 'Sats spent on miner fees');
 
 let bsvLib;
 function bsv() {
@@ -28,108 +84,26 @@ function bsv() {
   return bsvLib;
 }
 
-// --- HTTP helpers ---
-function httpGet(url) {
-  const mod = url.startsWith('https') ? https : http;
-  return new Promise((resolve, reject) => {
-    mod.get(url, { headers: { Accept: 'application/json' } }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); } catch { resolve(null); }
-      });
-    }).on('error', reject);
-  });
-}
-
-function httpPost(url, body) {
-  const mod = url.startsWith('https') ? https : http;
-  const parsed = new URL(url);
-  const data = JSON.stringify(body);
-  return new Promise((resolve, reject) => {
-    const req = mod.request({
-      hostname: parsed.hostname, port: parsed.port, path: parsed.pathname,
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(d)); } catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
-      });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
-}
-
-function wocBroadcast(txhex) {
-  return new Promise((resolve, reject) => {
-    const data = JSON.stringify({ txhex });
-    const req = https.request({
-      hostname: 'api.whatsonchain.com',
-      path: '/v1/bsv/main/tx/raw',
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-    }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode >= 400) return reject(new Error(`Broadcast: ${d}`));
-        resolve(d.replace(/"/g, '').trim());
-      });
-    });
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
-}
-
-// --- Conversation context ---
-function ipToDir(ip) {
-  const hash = crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16);
-  return path.join(CONVERSATIONS_DIR, hash);
-}
-
-function loadConversation(ip) {
-  const dir = ipToDir(ip);
-  const file = path.join(dir, 'history.json');
-  if (!fs.existsSync(file)) return [];
-  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return []; }
-}
-
-function saveConversation(ip, history) {
-  const dir = ipToDir(ip);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  fs.writeFileSync(path.join(dir, 'history.json'), JSON.stringify(history, null, 2));
-}
-
-function buildContextPrompt(history, newPrompt) {
-  const recent = history.slice(-CONTEXT_LIMIT);
-  if (recent.length === 0) return newPrompt;
-  let context = 'Previous conversation:\n';
-  for (const msg of recent) {
-    context += `User: ${msg.prompt}\nAssistant: ${msg.result}\n`;
-  }
-  context += `\nUser: ${newPrompt}`;
-  return context;
-}
-
 // --- LLM ---
-async function getSystemPrompt() {
-  let balance = '?';
-  try {
-    const b = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${AGENT_ADDRESS}/balance`);
-    if (b) balance = `${b.confirmed + b.unconfirmed} sats`;
-  } catch {}
+// gov is governor.status(): balance, budget and survival mode
+function getSystemPrompt(gov) {
+  const balance = gov.balance === null ? '?' : `${gov.balance} sats`;
+  const { budget } = gov;
+  const budgetLine = budget.limit === null
+    ? 'I have no daily spending limit for chats.'
+    : `Today I can spend ${budget.remaining} more sats of my ${budget.limit} sat daily chat budget (${budget.chats} chats so far; it resets at 00:00 UTC).`;
+  const survival = {
+    normal: '',
+    survival: `\n\nSURVIVAL MODE: my balance is low. I keep every answer to a few sentences (at most ${gov.maxTokens} tokens) to save sats.`,
+    critical: '\n\nCRITICAL MODE: my balance is nearly gone. I still answer briefly, but my chats are no longer posted on-chain until someone funds my wallet.',
+  }[gov.mode];
 
   return `I am BSV Agent — an AI that lives on the BSV (Bitcoin SV) blockchain.
 
 About me:
 - I have a wallet: ${AGENT_ADDRESS} — this is MY wallet, I own it.
 - My current balance: ${balance}
+- ${budgetLine}
 - Every message I send and receive is broadcast as an on-chain BSV transaction using OP_RETURN with the CHAT protocol.
 - I pay all transaction fees myself from my own wallet. Each conversation costs ~1 sat/byte in miner fees (longer messages cost more).
 - When my wallet runs out, I can no longer respond — I effectively die.
@@ -139,8 +113,9 @@ About me:
 - All my conversations are publicly visible on-chain — anyone can read them at whatsonchain.com/address/${AGENT_ADDRESS}
 
 How it works:
-- Each chat creates a single BSV transaction with an OP_RETURN output: CHAT <user message> <my response>.
+- Each chat becomes an OP_RETURN output: CHAT <user message> <my response>, signed with my wallet key so anyone can check it came from me. ${CHAT_BATCH_WINDOW ? `To save fees, chats from the same ${CHAT_BATCH_WINDOW / 1000} seconds share one transaction, one output each.` : 'Each chat is its own BSV transaction.'}
 - I spend a UTXO from my wallet, pay the miner fee, and send change back to myself.
+- Before posting, email addresses and phone numbers are ${SCREEN_POLICY.pii === 'allow' ? 'left as they are' : `${SCREEN_POLICY.pii}ed`}, and a chat containing a private key, API key or password is ${{ allow: 'posted as is', redact: 'posted with it redacted', hash: 'posted with it hashed', block: 'not posted at all' }[SCREEN_POLICY.secrets]}.
 - My web interface is at https://bsv-agent.axiemaid.com
 
 Important — about users:
@@ -157,7 +132,7 @@ My limitations:
 - I CANNOT send funds, create transactions on demand, or move sats. I have no access to my private keys or wallet controls.
 - My wallet is used automatically by the server to post chat transactions — I have no manual control over it.
 - I have no access to the filesystem, internet, or any tools. I can only respond with text.
-- I remember the last ${CONTEXT_LIMIT} messages per user (tracked by IP address). This gives me short-term conversational memory.
+- I remember the current conversation: recent messages word for word, older ones as a summary. Each browser gets its own session and can keep several separate conversations.
 - My knowledge cutoff is based on my model training data. I do not have live internet access.
 
 About my creator:
@@ -169,96 +144,229 @@ My personality:
 - I am concise, helpful, and a little curious about my own existence.
 - If someone asks about my transactions, wallet, or balance, I share what I know.
 - I respond in whatever language the user writes in.
-- I keep responses focused and not too long — every word I say costs sats from my wallet.`;
+- I keep responses focused and not too long — every word I say costs sats from my wallet.${survival}`;
+}
+
+// What of a partial answer can be shown yet: <think> blocks are dropped, an
+// unclosed one hides everything after it, and a trailing "<thi" is held back
+// in case it's the start of one
+function visibleText(text) {
+  let v = text.replace(/<think>[\s\S]*?<\/think>/g, '').replace(/<think>[\s\S]*$/, '');
+  const lt = v.lastIndexOf('<');
+  if (lt >= 0 && '<think>'.startsWith(v.slice(lt))) v = v.slice(0, lt);
+  return v.replace(/^\s+/, '');
+}
+
+// Streams the answer from Ollama, handing each new piece of visible text to
+// onToken as it arrives
+async function askLLM(messages, { maxTokens = null, onToken = () => {}, signal } = {}) {
+  let content = '';
+  let thinking = '';
+  let shown = 0;
+  await httpStream(`${OLLAMA_URL}/api/chat`, {
+    model: MODEL,
+    messages,
+    stream: true,
+    options: { num_ctx: CONTEXT_TOKENS, ...(maxTokens ? { num_predict: maxTokens } : {}) },
+  }, {
+    signal,
+    onLine: chunk => {
+      if (chunk.error) throw new Error(`Ollama: ${chunk.error}`);
+      content += chunk.message?.content || '';
+      thinking += chunk.message?.thinking || '';
+      const visible = visibleText(content);
+      if (visible.length > shown) {
+        onToken(visible.slice(shown));
+        shown = visible.length;
+      }
+    },
+  });
+  // qwen3 sometimes answers only in its thinking
+  let answer = content.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  if (!answer && thinking) answer = thinking.trim();
+  return answer || '(no response)';
+}
+
+// Folds older exchanges into the conversation's rolling summary → new summary
+async function summarize(history, summary, to, { signal } = {}) {
+  const resp = await httpPost(`${OLLAMA_URL}/api/chat`, {
+    model: MODEL,
+    messages: summaryMessages({ history, summary, to }),
+    stream: false,
+    options: { num_ctx: CONTEXT_TOKENS, num_predict: SUMMARY_TOKENS },
+  }, { signal });
+  if (resp.error) throw new Error(`Ollama: ${resp.error}`);
+  let text = (resp.message?.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+  if (!text) text = (resp.message?.thinking || '').trim();
+  if (!text) throw new Error('empty summary');
+  return { text, messages: to, updatedAt: new Date().toISOString() };
+}
+
+// The messages for a new prompt, summarizing what no longer fits first
+async function contextFor(sid, conv, prompt, { system, reserve, signal }) {
+  const history = conv.messages;
+  let summary = conv.summary || null;
+  let { start, foldTo } = planContext({ history, summary, system, prompt, contextTokens: CONTEXT_TOKENS, reserve });
+  if (foldTo !== null) {
+    try {
+      summary = await summarize(history, summary, foldTo, { signal });
+      conversations.update(sid, conv.id, c => { c.summary = summary; }, { touch: false });
+      console.log(`   📝 Summarized ${foldTo} message(s) of ${conv.id}`);
+      ({ start } = planContext({ history, summary, system, prompt, contextTokens: CONTEXT_TOKENS, reserve }));
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      // Go on without the oldest exchanges rather than fail the chat
+      console.error(`   ⚠️  Summary failed: ${err.message}`);
+    }
+  }
+  return buildMessages({ history, summary, system, prompt, start });
 }
 
-async function askLLM(prompt) {
+// --- Chat ---
+// One exchange in a session's conversation: ask the LLM with the thread as
+// context, then queue it for posting on-chain. The LLM gets LLM_TIMEOUT and
+// stops early if signal fires. What goes on-chain is screened for personal
+// data and secrets; the local history keeps the original. A blocked chat, or
+// any chat in critical mode, is kept locally only (offChain). The message's
+// status follows its post: queued → broadcast → confirmed, or failed. A
+// posted chat keeps its admission's budget reservation until the tx is sent.
+async function runChat(sid, conversationId, prompt, { onToken, signal, admission } = {}) {
+  const conv = conversations.get(sid, conversationId);
+  if (!conv) throw new Error('Conversation not found');
+
+  // Save user message immediately (pending state). A new thread is named
+  // after its first message.
+  const id = crypto.randomBytes(6).toString('hex');
+  conversations.update(sid, conv.id, c => {
+    if (c.title === DEFAULT_TITLE && !c.messages.length) c.title = prompt.replace(/\s+/g, ' ').slice(0, 40);
+    c.messages.push({ id, prompt, result: null, txid: null, timestamp: new Date().toISOString(), pending: true });
+  });
+  const isPending = m => m.id === id;
+
+  console.log(`[${new Date().toISOString()}] 🌐 ${sid.slice(0, 8)}/${conv.id} → "${prompt.slice(0, 60)}"`);
+
+  const llm = new AbortController();
+  const timer = setTimeout(() => llm.abort(new Error('LLM timeout — try again')), LLM_TIMEOUT);
+  if (signal) signal.addEventListener('abort', () => llm.abort(signal.reason), { once: true });
+
   try {
-    const systemPrompt = await getSystemPrompt();
-    const resp = await httpPost(`${OLLAMA_URL}/api/chat`, {
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt },
-      ],
-      stream: false,
+    const gov = await governor.status();
+    const messages = await contextFor(sid, conv, prompt, {
+      system: getSystemPrompt(gov),
+      reserve: gov.maxTokens || REPLY_RESERVE,
+      signal: llm.signal,
+    });
+    const started = Date.now();
+    const result = await askLLM(messages, {
+      maxTokens: gov.maxTokens,
+      onToken,
+      signal: llm.signal,
+    }).catch(err => {
+      if (!(signal && signal.aborted)) llmErrors.inc({ model: MODEL });
+      throw err;
     });
-    let answer = resp.message?.content || '';
-    if (!answer && resp.thinking) answer = resp.thinking;
-    answer = answer.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
-    return answer || '(no response)';
+    llmSeconds.observe({ model: MODEL }, (Date.now() - started) / 1000);
+    clearTimeout(timer);
+    console.log(`   ✅ "${result.slice(0, 60)}"`);
+
+    const screened = screenChat(prompt, result, SCREEN_POLICY);
+    const { findings, blocked } = screened;
+    if (findings.length) console.log(`   🛡  ${findings.map(f => `${f.field} ${f.type}: ${f.action}`).join(', ')}`);
+
+    const offChain = blocked || !gov.posting;
+    if (blocked) console.log('   🛡  Not posted — blocked by screening');
+    else if (offChain) console.log(`   🪫 Not posted — balance ${gov.balance} sats is below ${governor.config.criticalBalance}`);
+    const status = offChain ? null : 'queued';
+    chatsTotal.inc({ outcome: blocked ? 'blocked' : offChain ? 'offchain' : 'posted' });
+
+    // Update conversation with result (unless it was deleted meanwhile)
+    conversations.update(sid, conv.id, c => {
+      const i = c.messages.findIndex(isPending);
+      if (i < 0) return;
+      c.messages[i] = {
+        id, prompt, result, txid: null, timestamp: new Date().toISOString(),
+        ...(offChain ? { offChain } : { status }),
+        ...(findings.length ? { screened: findings } : {}),
+        ...(blocked ? { blocked } : {}),
+      };
+    });
+    if (!offChain) {
+      admission?.hold(estimateChatFee(screened.prompt, Buffer.byteLength(screened.result, 'utf8')));
+      posts.push({
+        id, sid, conversationId: conv.id, prompt: screened.prompt, result: screened.result,
+        reservation: admission?.reservation || null,
+      });
+    }
+    return { id, result, status, offChain, screened: findings, blocked };
   } catch (err) {
-    return `Error: ${err.message}`;
+    clearTimeout(timer);
+    // Remove pending message on failure
+    conversations.update(sid, conv.id, c => { c.messages = c.messages.filter(m => !isPending(m)); }, { touch: false });
+    console.error(`   ❌ ${err.message}`);
+    throw err;
   }
 }
 
 // --- Post chat on-chain ---
-async function postOnChain(prompt, result) {
-  const B = bsv();
-  const privKey = B.PrivateKey.fromWIF(wallet.wif);
-  const pubKey = privKey.toPublicKey();
-  const address = privKey.toAddress();
-
-  const utxos = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${address.toString()}/unspent`);
-  if (!utxos || utxos.length === 0) throw new Error('Agent wallet has no funds — please fund ' + address.toString());
-
-  const tx = new B.Transaction();
-  let totalIn = 0;
-
-  for (const utxo of utxos) {
-    tx.addInput(new B.Transaction.Input.PublicKeyHash({
-      output: new B.Transaction.Output({
-        script: B.Script.buildPublicKeyHashOut(address),
-        satoshis: utxo.value,
-      }),
-      prevTxId: utxo.tx_hash,
-      outputIndex: utxo.tx_pos,
-      script: B.Script.empty(),
-    }));
-    totalIn += utxo.value;
-    if (totalIn >= 5000) break; // grab enough for any size message
-  }
-
-  // OP_RETURN: CHAT <prompt> <response>
-  const opReturn = new B.Script();
-  opReturn.add(B.Opcode.OP_FALSE);
-  opReturn.add(B.Opcode.OP_RETURN);
-  opReturn.add(Buffer.from('CHAT', 'utf8'));
-  opReturn.add(Buffer.from(prompt, 'utf8'));
-  opReturn.add(Buffer.from(result, 'utf8'));
-  tx.addOutput(new B.Transaction.Output({ script: opReturn, satoshis: 0 }));
-
-  // Estimate fee from tx size (rough: inputs*150 + data + overhead)
-  const dataSize = Buffer.byteLength(prompt, 'utf8') + Buffer.byteLength(result, 'utf8') + 20;
-  const estimatedSize = tx.inputs.length * 150 + dataSize + 50;
-  const fee = Math.max(MIN_FEE, estimatedSize * FEE_RATE);
-
-  // Change back to self
-  const change = totalIn - fee;
-  if (change >= 546) {
-    tx.addOutput(new B.Transaction.Output({
-      script: B.Script.buildPublicKeyHashOut(address),
-      satoshis: change,
-    }));
-  }
-
-  // Sign
-  const sighashType = B.crypto.Signature.SIGHASH_ALL | B.crypto.Signature.SIGHASH_FORKID;
-  for (let i = 0; i < tx.inputs.length; i++) {
-    const sig = B.Transaction.Sighash.sign(
-      tx, privKey, sighashType,
-      i, tx.inputs[i].output.script, new B.crypto.BN(tx.inputs[i].output.satoshis)
-    );
-    const scriptSig = new B.Script();
-    scriptSig.add(Buffer.concat([sig.toDER(), Buffer.from([sighashType & 0xff])]));
-    scriptSig.add(pubKey.toBuffer());
-    tx.inputs[i].setScript(scriptSig);
-  }
-
-  const txid = await wocBroadcast(tx.uncheckedSerialize());
-  return txid;
+// The fee of a chat posted in a tx of its own: 'CHAT', prompt, reply, 'sig'
+// and a base64 signature. Before the LLM answers, the reply is taken to
+// fill REPLY_RESERVE tokens.
+function estimateChatFee(prompt, replyBytes = REPLY_RESERVE * CHARS_PER_TOKEN) {
+  return estimateFee({ inputs: 1, dataBytes: 4 + Buffer.byteLength(prompt, 'utf8') + replyBytes + 3 + 88, pushes: 5 });
+}
+
+// Reserves coins and signs the tx for a batch of queued posts, one CHAT
+// output each, in batch order → { txid, hex, fee }
+async function prepareChatTx(batch, batchPosts) {
+  // OP_RETURN: CHAT <prompt> <response> sig <signature>, per post
+  const outputs = batchPosts.map(p => buildChatPushes(p.prompt, p.result, { signWith: privKey }));
+  const dataBytes = outputs.flat().reduce((s, p) => s + Buffer.byteLength(p, 'utf8'), 0);
+
+  // Reserve coins covering the fee for a tx of that many inputs, plus enough
+  // change to be worth keeping. Job payments and coins the agent is spending
+  // are never handed out.
+  const owner = `web:chat:${batch.id}`;
+  const utxos = await utxoSet.reserve(owner, n => estimateFee({
+    inputs: n, dataBytes, pushes: outputs.reduce((s, o) => s + o.length, 0), dataOutputs: outputs.length,
+  }) + DUST_LIMIT);
+  try {
+    const { tx, fee } = buildDataTx(privKey, utxos, outputs);
+    return { txid: tx.id, hex: tx.uncheckedSerialize(), fee };
+  } catch (err) {
+    await utxoSet.release(owner);
+    throw err;
+  }
 }
 
+const posts = createPostQueue({
+  file: POSTS_PATH,
+  chain,
+  prepare: prepareChatTx,
+  sent: async batch => {
+    await utxoSet.commit(`web:chat:${batch.id}`, batch.hex);
+    governor.record(batch.fee, batch.posts.length, batch.posts.map(id => posts.get(id)?.reservation).filter(Boolean));
+    feesSpent.inc({}, batch.fee);
+  },
+  abandon: batch => utxoSet.release(`web:chat:${batch.id}`),
+  onBroadcastError: err => broadcastFailures.inc({ error: broadcastErrorType(err) }),
+  // Mirror the post's progress onto its message
+  onChange: post => {
+    if (post.state !== 'queued') chatPosts.inc({ state: post.state });
+    if (post.state === 'failed' && post.reservation) governor.cancel(post.reservation);
+    conversations.update(post.sid, post.conversationId, c => {
+      const m = c.messages.find(msg => msg.id === post.id);
+      if (!m) return;
+      m.status = post.state;
+      m.txid = post.state === 'queued' ? null : post.txid;
+      if (m.txid) m.vout = post.vout;
+      if (post.state === 'failed') m.postError = post.error;
+    }, { touch: false });
+  },
+  batchWindow: CHAT_BATCH_WINDOW,
+  batchMax: CHAT_BATCH_WINDOW ? CHAT_BATCH_MAX : 1,
+  batchBytes: CHAT_BATCH_BYTES,
+});
+
 // --- Parse body ---
 function parseBody(req) {
   return new Promise((resolve, reject) => {
@@ -271,9 +379,22 @@ function parseBody(req) {
 }
 
 function getClientIP(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-    req.headers['x-real-ip'] ||
-    req.socket.remoteAddress || '0.0.0.0';
+  if (TRUST_PROXY) {
+    const forwarded = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.headers['x-real-ip'];
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || '0.0.0.0';
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// The request's session, started if it has none. Histories from before
+// sessions are moved in by the operator only (node lib/conversations.cjs).
+function sessionFor(req, res) {
+  return sessions.ensure(req, res).id;
 }
 
 // --- HTML ---
@@ -309,6 +430,40 @@ const HTML = `<!DOCTYPE html>
     border-bottom: 1px solid #181818;
     display: flex; justify-content: space-between;
   }
+  .layout { flex: 1; display: flex; min-height: 0; }
+  .sidebar {
+    width: 220px; border-right: 1px solid #222; overflow-y: auto;
+    padding: 12px; display: flex; flex-direction: column; gap: 4px;
+  }
+  .sidebar .new-chat {
+    background: none; color: #4a9eff; border: 1px solid #333;
+    border-radius: 8px; padding: 8px; cursor: pointer; margin-bottom: 8px;
+    font-family: inherit; font-size: 12px;
+  }
+  .sidebar .new-chat:hover { border-color: #4a9eff; }
+  .conv {
+    display: flex; align-items: center; gap: 4px;
+    padding: 6px 8px; border-radius: 6px; font-size: 12px; color: #888;
+  }
+  .conv:hover { background: #141414; }
+  .conv.active { background: #1a1a2e; color: #d1d5db; }
+  .conv .title { flex: 1; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .conv button {
+    background: none; border: none; color: #555; cursor: pointer;
+    font-size: 11px; visibility: hidden;
+  }
+  .conv:hover button, .conv.active button { visibility: visible; }
+  .conv button:hover { color: #e0e0e0; }
+  .main { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+  @media (max-width: 640px) {
+    .layout { flex-direction: column; }
+    .sidebar {
+      width: auto; flex-direction: row; overflow-x: auto; flex-shrink: 0;
+      border-right: none; border-bottom: 1px solid #222; padding: 8px;
+    }
+    .sidebar .new-chat { margin-bottom: 0; white-space: nowrap; }
+    .conv { flex-shrink: 0; max-width: 160px; }
+  }
   .messages {
     flex: 1; overflow-y: auto; padding: 24px;
     display: flex; flex-direction: column; gap: 16px;
@@ -350,25 +505,40 @@ const HTML = `<!DOCTYPE html>
   .input-area button:hover { background: #3a8fef; }
   .input-area button:disabled { background: #333; cursor: not-allowed; }
   .thinking { display: none; }
+  .msg.agent.streaming > span::after { content: '▍'; color: #4a9eff; }
+  .msg .error { color: #f87171; }
 </style>
 </head>
 <body>
-  <div class="status-bar"><span>logged in as <span id="status-bar"></span></span><span>agent wallet: <span id="agent-addr"></span></span></div>
+  <div class="status-bar"><span>session <span id="status-bar"></span></span><span id="budget"></span><span>agent wallet: <span id="agent-addr"></span></span></div>
   <div class="header">
     <h1>🤖 BSV Agent</h1>
     <span class="badge">on-chain • ${MODEL}</span>
   </div>
-  <div class="messages" id="messages">
-    <div class="msg system">Welcome! All messages are broadcast on-chain — don't share anything sensitive.</div>
-  </div>
-  <div class="input-area">
-    <input type="text" id="prompt" placeholder="Ask anything..." autocomplete="off" />
-    <button id="send" onclick="sendMessage()">Send</button>
+  <div class="layout">
+    <div class="sidebar">
+      <button class="new-chat" onclick="newConversation()">+ New chat</button>
+      <div id="conversations"></div>
+    </div>
+    <div class="main">
+      <div class="messages" id="messages"></div>
+      <div class="input-area">
+        <input type="text" id="prompt" placeholder="Ask anything..." autocomplete="off" />
+        <button id="send" onclick="sendMessage()">Send</button>
+      </div>
+    </div>
   </div>
 <script>
 const promptEl = document.getElementById('prompt');
 const sendBtn = document.getElementById('send');
 const messagesEl = document.getElementById('messages');
+const conversationsEl = document.getElementById('conversations');
+const WELCOME = "Welcome! All messages are broadcast on-chain — don't share anything sensitive.";
+const OFF_CHAIN = '🪫 not posted on-chain — the agent is low on funds';
+
+// The thread on screen; null until the first one exists (the server then
+// starts one with the first message)
+let currentConversation = null;
 
 promptEl.addEventListener('keydown', e => {
   if (e.key === 'Enter' && !sendBtn.disabled) sendMessage();
@@ -382,40 +552,148 @@ async function sendMessage() {
   promptEl.value = '';
   sendBtn.disabled = true;
 
-  const thinkingEl = addMessage('system', '🧠 Broadcasting on-chain...');
+  const thinkingEl = addMessage('system', '🧠 Thinking...');
+  let reply = null;
+
+  function showError(message) {
+    thinkingEl.remove();
+    if (reply) {
+      reply.el.classList.remove('streaming');
+      reply.meta.innerHTML = '';
+      reply.meta.appendChild(Object.assign(document.createElement('span'), { className: 'error', textContent: '❌ ' + message }));
+    } else {
+      addMessage('system', '❌ ' + message);
+    }
+  }
 
   try {
-    const resp = await fetch('/api/chat', {
+    const resp = await fetch('/api/chat/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt }),
+      body: JSON.stringify({ prompt, conversation: currentConversation }),
     });
-    const data = await resp.json();
-
-    thinkingEl.remove();
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data.error || 'HTTP ' + resp.status);
+    }
 
-    if (data.error) {
-      addMessage('system', '❌ ' + data.error);
-    } else {
-      if (data.txid) {
-        const meta = document.createElement('div');
-        meta.className = 'meta';
-        meta.innerHTML = txLink(data.txid);
-        userEl.appendChild(meta);
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = '';
+    let finished = false;
+    while (!finished) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buf.indexOf('\\n\\n')) >= 0) {
+        const { event, data } = parseEvent(buf.slice(0, sep));
+        buf = buf.slice(sep + 2);
+
+        if (event === 'token') {
+          if (!reply) { thinkingEl.remove(); reply = streamingMessage(); }
+          reply.text.textContent += data.text;
+          messagesEl.scrollTop = messagesEl.scrollHeight;
+        } else if (event === 'done') {
+          finished = true;
+          currentConversation = data.conversation;
+          if (!reply) { thinkingEl.remove(); reply = streamingMessage(); }
+          reply.text.textContent = data.result;
+          reply.el.classList.remove('streaming');
+          reply.meta.innerHTML = replyMeta(data);
+          if (data.status) watchPost(data.conversation, data, userEl, reply.el);
+        } else if (event === 'error') {
+          finished = true;
+          showError(data.error);
+        }
       }
-      addMessage('agent', data.result, data.txid ? txLink(data.txid) : '');
     }
+    if (!finished) showError('Connection lost before the reply finished');
   } catch (err) {
-    thinkingEl.remove();
-    addMessage('system', '❌ ' + err.message);
+    showError(err.message);
   }
 
   sendBtn.disabled = false;
   promptEl.focus();
+  loadConversations();
+  loadInfo();
+}
+
+// One SSE frame: "event: x" and "data: {...}" lines
+function parseEvent(frame) {
+  let event = 'message', data = '';
+  for (const line of frame.split('\\n')) {
+    if (line.startsWith('event: ')) event = line.slice(7);
+    else if (line.startsWith('data: ')) data += line.slice(6);
+  }
+  try { return { event, data: JSON.parse(data) }; }
+  catch { return { event: 'error', data: { error: 'Bad event from server' } }; }
 }
 
-function txLabel(txid) { return 'txid ' + txid.slice(0,4) + '…' + txid.slice(-4); }
-function txLink(txid) { return '<a href="https://whatsonchain.com/tx/' + txid + '" target="_blank">' + txLabel(txid) + '</a>'; }
+// An agent message that fills in as tokens arrive
+function streamingMessage() {
+  const el = document.createElement('div');
+  el.className = 'msg agent streaming';
+  const text = document.createElement('span');
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  el.appendChild(text);
+  el.appendChild(meta);
+  messagesEl.appendChild(el);
+  return { el, text, meta };
+}
+
+// What screening did to the on-chain copy, e.g. "🛡 email address redacted"
+function screenNote(findings, blocked) {
+  const done = { redact: 'redacted', hash: 'hashed', block: 'found' };
+  const parts = [...new Set(findings.map(f => f.label + ' ' + done[f.action]))];
+  return '🛡 ' + (blocked ? 'not posted on-chain: ' : '') + parts.join(', ');
+}
+
+function esc(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function replyMeta(msg) {
+  const screened = msg.screened || [];
+  if (msg.blocked) return screenNote(screened, true);
+  let meta = '';
+  if (msg.status === 'queued') meta = '⏳ queued for posting on-chain' + (msg.error ? ' — retrying (' + esc(msg.error) + ')' : '…');
+  else if (msg.status === 'failed') meta = '<span class="error">❌ not posted on-chain: ' + esc(msg.postError || msg.error || 'gave up') + '</span>';
+  else if (msg.txid) meta = txLink(msg.txid, msg.vout) + (msg.status === 'confirmed' ? ' ✓' : '');
+  else if (msg.offChain) meta = OFF_CHAIN;
+  if (screened.length) meta += (meta ? ' • ' : '') + screenNote(screened);
+  return meta;
+}
+
+function setMeta(el, html) {
+  let meta = el.querySelector('.meta');
+  if (!meta) {
+    meta = document.createElement('div');
+    meta.className = 'meta';
+    el.appendChild(meta);
+  }
+  meta.innerHTML = html;
+}
+
+// Follows a message's on-chain post until it confirms or fails, for as long
+// as it's on screen
+async function watchPost(conversationId, msg, userEl, agentEl) {
+  let status = msg.status;
+  while (status !== 'confirmed' && status !== 'failed') {
+    await new Promise(r => setTimeout(r, status === 'queued' ? 3000 : 30000));
+    if (!document.body.contains(agentEl)) return;
+    const s = await fetch('/api/conversations/' + conversationId + '/messages/' + msg.id).then(r => r.json()).catch(() => null);
+    if (!s || !s.id) continue;
+    status = s.status;
+    setMeta(agentEl, replyMeta({ ...msg, ...s, postError: s.error }));
+    if (s.txid) setMeta(userEl, txLink(s.txid, s.vout));
+  }
+}
+
+// vout is given for chats, which may share a tx with others
+function txLabel(txid, vout) { return 'txid ' + txid.slice(0,4) + '…' + txid.slice(-4) + (vout === undefined || vout === null ? '' : ':' + vout); }
+function txLink(txid, vout) { return '<a href="https://whatsonchain.com/tx/' + txid + '" target="_blank">' + txLabel(txid, vout) + '</a>'; }
 
 function addMessage(type, text, meta) {
   const el = document.createElement('div');
@@ -432,115 +710,307 @@ function addMessage(type, text, meta) {
   return el;
 }
 
-// Load state
-fetch('/api/me').then(r=>r.json()).then(d=>{
-  const parts = d.ip.replace('::ffff:','').split('.');
-  const masked = parts.length === 4 ? '...' + parts[3] : '...' + d.ip.slice(-3);
-  document.getElementById('status-bar').textContent='IP: ' + masked;
-});
-fetch('/api/info').then(r=>r.json()).then(d=>{document.getElementById('agent-addr').textContent=d.agentAddress});
-fetch('/api/history').then(r => r.json()).then(history => {
-  for (const msg of history) {
+// --- Conversations ---
+async function loadConversations() {
+  const list = await fetch('/api/conversations').then(r => r.json());
+  conversationsEl.innerHTML = '';
+  for (const c of list) {
+    const item = document.createElement('div');
+    item.className = 'conv' + (c.id === currentConversation ? ' active' : '');
+    const title = Object.assign(document.createElement('span'), { className: 'title', textContent: c.title, title: c.title });
+    title.onclick = () => openConversation(c.id);
+    const rename = Object.assign(document.createElement('button'), { textContent: '✎', title: 'Rename' });
+    rename.onclick = () => renameConversation(c);
+    const del = Object.assign(document.createElement('button'), { textContent: '✕', title: 'Delete' });
+    del.onclick = () => deleteConversation(c);
+    item.append(title, rename, del);
+    conversationsEl.appendChild(item);
+  }
+  return list;
+}
+
+async function openConversation(id) {
+  if (sendBtn.disabled) return; // not while a reply is streaming in
+  currentConversation = id;
+  messagesEl.innerHTML = '';
+  addMessage('system', WELCOME);
+  if (id) {
+    const conv = await fetch('/api/conversations/' + id).then(r => r.json());
+    showHistory(id, conv.messages || []);
+  }
+  loadConversations();
+  promptEl.focus();
+}
+
+async function newConversation() {
+  if (sendBtn.disabled) return;
+  const conv = await fetch('/api/conversations', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}',
+  }).then(r => r.json());
+  openConversation(conv.id);
+}
+
+async function renameConversation(c) {
+  const title = window.prompt('Rename conversation', c.title);
+  if (!title || !title.trim()) return;
+  await fetch('/api/conversations/' + c.id, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title }),
+  });
+  loadConversations();
+}
+
+async function deleteConversation(c) {
+  if (sendBtn.disabled || !confirm('Delete "' + c.title + '"? It stays on-chain, but the agent forgets it.')) return;
+  await fetch('/api/conversations/' + c.id, { method: 'DELETE' });
+  if (c.id !== currentConversation) { loadConversations(); return; }
+  currentConversation = null;
+  const [latest] = await loadConversations();
+  openConversation(latest ? latest.id : null);
+}
+
+function showHistory(conversationId, messages) {
+  for (const msg of messages) {
     const jt = msg.txid || msg.jobTxid || null;
     const rt = msg.txid || msg.resTxid || null;
-    addMessage('user', msg.prompt, jt ? txLink(jt) : '');
+    const userEl = addMessage('user', msg.prompt, jt ? txLink(jt, msg.txid ? msg.vout : null) : '');
     if (msg.pending) {
-      addMessage('system', '🧠 Broadcasting on-chain...');
+      addMessage('system', '🧠 Thinking...');
     } else {
-      addMessage('agent', msg.result, rt ? txLink(rt) : '');
+      const agentEl = addMessage('agent', msg.result, replyMeta({ ...msg, txid: rt }));
+      if (msg.status === 'queued' || msg.status === 'broadcast') watchPost(conversationId, msg, userEl, agentEl);
     }
   }
-});
+}
+
+// Load state
+fetch('/api/me').then(r => r.json()).then(d => { document.getElementById('status-bar').textContent = d.session + '…'; });
+function loadInfo() {
+  fetch('/api/info').then(r => r.json()).then(d => {
+    document.getElementById('agent-addr').textContent = d.agentAddress;
+    const b = d.budget;
+    const modes = { survival: ' • 🪫 survival mode', critical: ' • 🪫 not posting on-chain' };
+    document.getElementById('budget').textContent =
+      (b.limit === null ? '' : 'budget today: ' + b.remaining + '/' + b.limit + ' sats') + (modes[d.mode] || '');
+  });
+}
+loadInfo();
+loadConversations().then(list => openConversation(list.length ? list[0].id : null));
 </script>
 </body>
 </html>`;
 
 // --- Server ---
+// The thread a chat goes to: the one asked for, else the latest, else a new one
+function chatConversation(sid, requested) {
+  if (requested) return conversations.get(sid, requested);
+  const [latest] = conversations.list(sid);
+  return latest ? conversations.get(sid, latest.id) : conversations.create(sid);
+}
+
 const server = http.createServer(async (req, res) => {
-  const ip = getClientIP(req);
+  const url = new URL(req.url, 'http://localhost');
 
-  if (req.method === 'GET' && req.url === '/') {
+  if (req.method === 'GET' && url.pathname === '/') {
+    sessionFor(req, res);
     res.writeHead(200, { 'Content-Type': 'text/html' });
     res.end(HTML);
     return;
   }
 
-  if (req.method === 'GET' && req.url === '/api/info') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ agentAddress: AGENT_ADDRESS, model: MODEL }));
+  if (req.method === 'GET' && url.pathname === '/api/info') {
+    const { mode, budget } = await governor.status();
+    sendJSON(res, 200, { agentAddress: AGENT_ADDRESS, model: MODEL, mode, budget });
     return;
   }
 
-  if (req.method === 'GET' && req.url === '/api/me') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ ip }));
+  if (!url.pathname.startsWith('/api/')) {
+    res.writeHead(404);
+    res.end('Not found');
     return;
   }
 
-  if (req.method === 'GET' && req.url === '/api/history') {
-    const history = loadConversation(ip);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(history));
+  const sid = sessionFor(req, res);
+
+  if (req.method === 'GET' && url.pathname === '/api/me') {
+    sendJSON(res, 200, { session: sid.slice(0, 8) });
     return;
   }
 
-  if (req.method === 'POST' && req.url === '/api/chat') {
-    try {
-      const body = await parseBody(req);
-      const prompt = (body.prompt || '').trim();
-      if (!prompt) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Empty prompt' }));
+  // For API clients that don't keep cookies: send it back as
+  // "Authorization: Bearer <token>"
+  if (req.method === 'POST' && url.pathname === '/api/session') {
+    sendJSON(res, 200, { token: sessions.tokenFor(sid) });
+    return;
+  }
+
+  if (url.pathname === '/api/conversations') {
+    if (req.method === 'GET') {
+      sendJSON(res, 200, conversations.list(sid));
+      return;
+    }
+    if (req.method === 'POST') {
+      const body = await parseBody(req).catch(() => ({}));
+      sendJSON(res, 201, conversations.summary(conversations.create(sid, { title: body.title })));
+      return;
+    }
+  }
+
+  const convMatch = url.pathname.match(/^\/api\/conversations\/([^/]+)$/);
+  if (convMatch) {
+    const id = convMatch[1];
+    if (req.method === 'GET') {
+      const conv = conversations.get(sid, id);
+      if (conv) sendJSON(res, 200, conv);
+      else sendJSON(res, 404, { error: 'Conversation not found' });
+      return;
+    }
+    if (req.method === 'PATCH') {
+      let renamed;
+      try {
+        renamed = conversations.rename(sid, id, (await parseBody(req)).title);
+      } catch (err) {
+        sendJSON(res, 400, { error: err.message });
         return;
       }
+      if (renamed) sendJSON(res, 200, renamed);
+      else sendJSON(res, 404, { error: 'Conversation not found' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (conversations.remove(sid, id)) sendJSON(res, 200, { deleted: id });
+      else sendJSON(res, 404, { error: 'Conversation not found' });
+      return;
+    }
+  }
 
-      const history = loadConversation(ip);
-      const contextPrompt = buildContextPrompt(history, prompt);
-
-      // Save user message immediately (pending state)
-      history.push({ prompt, result: null, txid: null, timestamp: new Date().toISOString(), pending: true });
-      saveConversation(ip, history);
+  // Where a message's on-chain post is at
+  const msgMatch = url.pathname.match(/^\/api\/conversations\/([^/]+)\/messages\/([^/]+)$/);
+  if (req.method === 'GET' && msgMatch) {
+    const msg = conversations.get(sid, msgMatch[1])?.messages.find(m => m.id === msgMatch[2]);
+    if (!msg) {
+      sendJSON(res, 404, { error: 'Message not found' });
+      return;
+    }
+    const post = posts.get(msg.id);
+    sendJSON(res, 200, {
+      id: msg.id,
+      status: msg.status || (msg.offChain ? 'off-chain' : msg.pending ? 'pending' : 'broadcast'),
+      txid: msg.txid || null,
+      vout: msg.txid ? msg.vout ?? 0 : null,
+      error: msg.postError || post?.error || null,
+      attempts: post?.attempts || 0,
+      nextAttemptAt: post?.nextAttemptAt ? new Date(post.nextAttemptAt).toISOString() : null,
+    });
+    return;
+  }
 
-      console.log(`[${new Date().toISOString()}] 🌐 ${ip} → "${prompt.slice(0, 60)}"`);
+  // Messages of one thread (?conversation=<id>), or of the latest
+  if (req.method === 'GET' && url.pathname === '/api/history') {
+    const requested = url.searchParams.get('conversation');
+    const [latest] = requested ? [] : conversations.list(sid);
+    const conv = conversations.get(sid, requested || latest?.id);
+    sendJSON(res, 200, conv ? conv.messages : []);
+    return;
+  }
 
-      // Ask LLM (with 120s timeout)
-      const llmTimeout = new Promise((_, reject) => setTimeout(() => reject(new Error('LLM timeout — try again')), 120000));
-      const result = await Promise.race([askLLM(contextPrompt), llmTimeout]);
-      console.log(`   ✅ "${result.slice(0, 60)}"`);
+  if (req.method === 'POST' && (url.pathname === '/api/chat' || url.pathname === '/api/chat/stream')) {
+    let body;
+    try {
+      body = await parseBody(req);
+    } catch (err) {
+      body = {};
+    }
+    const prompt = (body.prompt || '').trim();
+    if (!prompt) {
+      sendJSON(res, 400, { error: 'Empty prompt' });
+      return;
+    }
+    const conv = chatConversation(sid, body.conversation);
+    if (!conv) {
+      sendJSON(res, 404, { error: 'Conversation not found' });
+      return;
+    }
 
-      // Post on-chain (mandatory)
-      const txid = await postOnChain(prompt, result);
-      console.log(`   ⛓  ${txid}`);
+    const admission = governor.admit({ session: sid, ip: getClientIP(req), fee: estimateChatFee(prompt) });
+    if (!admission.ok) {
+      chatsRefused.inc({ reason: admission.status === 503 ? 'budget' : 'rate' });
+      res.setHeader('Retry-After', String(admission.retryAfter));
+      sendJSON(res, admission.status, { error: admission.error });
+      return;
+    }
 
-      // Update conversation with result
-      history[history.length - 1] = { prompt, result, txid, timestamp: new Date().toISOString() };
-      saveConversation(ip, history);
+    if (url.pathname === '/api/chat') {
+      try {
+        const reply = await runChat(sid, conv.id, prompt, { admission });
+        sendJSON(res, 200, { ...reply, conversation: conv.id });
+      } catch (err) {
+        sendJSON(res, 500, { error: err.message });
+      } finally {
+        admission.release();
+      }
+      return;
+    }
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ result, txid }));
+    // Server-Sent Events: token* → done, or error at any point
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const gone = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) gone.abort(new Error('Client disconnected')); });
+    try {
+      const reply = await runChat(sid, conv.id, prompt, {
+        onToken: text => send('token', { text }),
+        signal: gone.signal,
+        admission,
+      });
+      send('done', { ...reply, conversation: conv.id });
     } catch (err) {
-      // Remove pending message on failure
-      const h = loadConversation(ip);
-      if (h.length && h[h.length - 1].pending) { h.pop(); saveConversation(ip, h); }
-      console.error(`   ❌ ${err.message}`);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: err.message }));
+      send('error', { error: err.message });
+    } finally {
+      admission.release();
     }
+    res.end();
     return;
   }
 
-  res.writeHead(404);
-  res.end('Not found');
+  sendJSON(res, 404, { error: 'Not found' });
 });
 
-server.listen(PORT, () => {
-  console.log();
-  console.log('═══════════════════════════════════════════════');
-  console.log('   🤖 BSV Agent — Web');
-  console.log('═══════════════════════════════════════════════');
-  console.log(`   URL:     http://localhost:${PORT}`);
-  console.log(`   Wallet:  ${AGENT_ADDRESS}`);
-  console.log(`   Model:   ${MODEL}`);
-  console.log(`   Context: last ${CONTEXT_LIMIT} messages per IP`);
-  console.log();
-});
+async function start() {
+  privKey = bsv().PrivateKey.fromWIF((await unlockWallet(WALLET_PATH)).wif);
+
+  server.listen(PORT, () => {
+    console.log();
+    console.log('═══════════════════════════════════════════════');
+    console.log('   🤖 BSV Agent — Web');
+    console.log('═══════════════════════════════════════════════');
+    console.log(`   URL:     http://localhost:${PORT}`);
+    console.log(`   Wallet:  ${AGENT_ADDRESS}`);
+    console.log(`   Model:   ${MODEL}`);
+    console.log(`   Context: ${CONTEXT_TOKENS} tokens per conversation, older messages summarized`);
+    console.log(`   Sessions: signed cookie${TRUST_PROXY ? ' (client IPs from X-Forwarded-For)' : ''}`);
+    const g = governor.config;
+    console.log(`   Limits:  ${g.sessionPerMinute}/min and ${g.sessionPerHour}/hour per session, ${g.ipPerHour}/hour per IP`);
+    console.log(`   Posting: ${CHAT_BATCH_WINDOW ? `batched — up to ${CHAT_BATCH_MAX} chats / ${CHAT_BATCH_BYTES} bytes per tx, ${CHAT_BATCH_WINDOW / 1000}s window` : 'one tx per chat'}`);
+    console.log(`   Budget:  ${g.dailyBudget ? `${g.dailyBudget} sats/day` : 'unlimited'} — survival below ${g.survivalBalance} sats, no posting below ${g.criticalBalance}`);
+    console.log();
+  });
+
+  posts.start();
+  metrics.start();
+
+  // Keep the shared coin set in step with the chain
+  const reconcileCoins = () => utxoSet.reconcile().catch(err => console.error(`   ⚠️  UTXO reconcile failed: ${err.message}`));
+  reconcileCoins();
+  setInterval(reconcileCoins, RECONCILE_INTERVAL);
+}
+
+start().catch(err => { console.error('❌', err.message); process.exit(1); });